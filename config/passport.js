@@ -1,6 +1,8 @@
 const passport = require('passport');
 const GoogleStrategy = require('passport-google-oauth20').Strategy;
+const GitHubStrategy = require('passport-github2').Strategy;
 const User = require('../models/User');
+const { generateUsername } = require('../utils/username');
 
 passport.serializeUser((user, done) => {
   done(null, user.id);
@@ -15,69 +17,144 @@ passport.deserializeUser(async (id, done) => {
   }
 });
 
+// Prefer the primary address; GitHub only returns emails with the user:email scope
+const getProfileEmail = (provider, profile) => {
+  const emails = profile.emails || [];
+  const email = emails.find(e => e.primary) || emails[0];
+
+  if (!email) return null;
+
+  return {
+    value: email.value.toLowerCase(),
+    // Google omits the flag for verified addresses, GitHub always sends it
+    verified: provider === 'github' ? email.verified === true : email.verified !== false
+  };
+};
+
+const toLinkedAccount = (provider, profile, email) => ({
+  provider,
+  providerId: String(profile.id),
+  email: email && email.value,
+  displayName: profile.displayName || profile.username
+});
+
+// Attach a provider to the logged-in user who started the flow from their dashboard
+const linkAccount = async (userId, provider, profile, done) => {
+  const owner = await User.findByProvider(provider, String(profile.id));
+
+  if (owner && owner.id !== userId) {
+    return done(null, false, { link: true, error: 'provider_in_use' });
+  }
+
+  const user = await User.findById(userId);
+
+  if (!user) {
+    return done(null, false, { link: true, error: 'auth_failed' });
+  }
+
+  if (owner || user.getLinkedAccount(provider)) {
+    return done(null, user, { link: true, error: owner ? null : 'provider_already_linked' });
+  }
+
+  user.linkedAccounts.push(toLinkedAccount(provider, profile, getProfileEmail(provider, profile)));
+  user.avatar = user.avatar || profile.photos?.[0]?.value;
+  await user.save({ validateBeforeSave: false });
+
+  console.log(`Linked ${provider} to user:`, user.username);
+  done(null, user, { link: true });
+};
+
+// Shared verify callback for every OAuth provider
+const handleOAuthProfile = (provider) => async (req, accessToken, refreshToken, profile, done) => {
+  try {
+    // A link intent is used once; an abandoned or stale one must not turn this sign-in into a link
+    const linkIntent = req.session && req.session.linkIntent;
+    if (linkIntent) {
+      delete req.session.linkIntent;
+      if (linkIntent.provider === provider && linkIntent.expiresAt > Date.now()) {
+        return await linkAccount(linkIntent.userId, provider, profile, done);
+      }
+    }
+
+    const email = getProfileEmail(provider, profile);
+    console.log(`${provider} Profile:`, profile.id, email && email.value);
+
+    // Check if user exists with this provider
+    let user = await User.findByProvider(provider, String(profile.id));
+
+    if (user) {
+      // Move legacy googleId into linkedAccounts
+      if (provider === 'google' && !user.getLinkedAccount('google')) {
+        user.linkedAccounts.push(toLinkedAccount(provider, profile, email));
+        user.googleId = undefined;
+      }
+      user.lastLogin = Date.now();
+      await user.save({ validateBeforeSave: false });
+      console.log(`Existing ${provider} user found`);
+      return done(null, user);
+    }
+
+    if (!email) {
+      return done(null, false, { error: 'email_required' });
+    }
+
+    // Never link silently by email; the owner must link from their dashboard
+    if (await User.findOne({ email: email.value })) {
+      return done(null, false, { error: 'account_exists' });
+    }
+
+    // Create new user; remaining profile fields are collected on /complete-profile
+    const username = await generateUsername(email.value.split('@')[0]);
+
+    user = await User.create({
+      linkedAccounts: [toLinkedAccount(provider, profile, email)],
+      username: username,
+      email: email.value,
+      emailVerified: email.verified,
+      avatar: profile.photos?.[0]?.value,
+      profileIncomplete: true,
+      isActive: true,
+      lastLogin: Date.now()
+    });
+
+    console.log(`New ${provider} user created:`, username);
+    done(null, user);
+  } catch (error) {
+    console.error(`${provider} OAuth Error:`, error);
+    done(error, null);
+  }
+};
+
 // Google OAuth Strategy
 passport.use(
   new GoogleStrategy(
     {
       clientID: process.env.GOOGLE_CLIENT_ID,
       clientSecret: process.env.GOOGLE_CLIENT_SECRET,
-      callbackURL: process.env.GOOGLE_CALLBACK_URL
+      callbackURL: process.env.GOOGLE_CALLBACK_URL,
+      // Ties the callback to a flow started in this browser session
+      state: true,
+      passReqToCallback: true
     },
-    async (accessToken, refreshToken, profile, done) => {
-      try {
-        console.log('Google Profile:', profile.id, profile.emails[0].value);
-        
-        // Check if user exists with Google ID
-        let user = await User.findOne({ googleId: profile.id });
-
-        if (user) {
-          user.lastLogin = Date.now();
-          await user.save();
-          console.log('Existing Google user found');
-          return done(null, user);
-        }
-
-        // Check if email exists
-        user = await User.findOne({ email: profile.emails[0].value });
-
-        if (user) {
-          // Link Google account
-          user.googleId = profile.id;
-          user.avatar = profile.photos[0]?.value;
-          user.lastLogin = Date.now();
-          await user.save();
-          console.log('Linked Google to existing user');
-          return done(null, user);
-        }
-
-        // Create new user - FIX USERNAME AND PHONE
-        const emailPrefix = profile.emails[0].value.split('@')[0];
-        const randomSuffix = Math.random().toString(36).substring(2, 6); // 4 chars
-        const username = (emailPrefix.substring(0, 15) + randomSuffix).toLowerCase(); // Max 19 chars
-        
-        user = await User.create({
-          googleId: profile.id,
-          username: username,
-          email: profile.emails[0].value,
-          password: Math.random().toString(36).slice(-8) + 'Aa@1',
-          phone: '9999999999', // Valid Indian phone format
-          age: 25,
-          gender: 'other',
-          country: 'India',
-          avatar: profile.photos[0]?.value,
-          bio: 'Logged in via Google',
-          isActive: true,
-          lastLogin: Date.now()
-        });
-
-        console.log('New Google user created:', username);
-        done(null, user);
-      } catch (error) {
-        console.error('Google OAuth Error:', error);
-        done(error, null);
-      }
-    }
+    handleOAuthProfile('google')
   )
 );
 
+// GitHub OAuth Strategy (optional, enabled when credentials are configured)
+if (process.env.GITHUB_CLIENT_ID) {
+  passport.use(
+    new GitHubStrategy(
+      {
+        clientID: process.env.GITHUB_CLIENT_ID,
+        clientSecret: process.env.GITHUB_CLIENT_SECRET,
+        callbackURL: process.env.GITHUB_CALLBACK_URL,
+        scope: ['user:email'],
+        state: true,
+        passReqToCallback: true
+      },
+      handleOAuthProfile('github')
+    )
+  );
+}
+
 module.exports = passport;
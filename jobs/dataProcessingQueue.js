@@ -1,6 +1,19 @@
+const crypto = require('crypto');
 const Queue = require('bull');
 const logger = require('../config/logger');
 const User = require('../models/User');
+const ApiKey = require('../models/ApiKey');
+const Session = require('../models/Session');
+const dataExport = require('../services/dataExport');
+const userImport = require('../services/userImport');
+const avatar = require('../services/avatar');
+const { sendEmail } = require('./emailQueue');
+
+// Invitation links reuse the password reset token, valid for a week
+const INVITATION_EXPIRE_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Days a soft-deleted account is kept (and can be restored) before it is purged
+const USER_RETENTION_DAYS = parseInt(process.env.USER_RETENTION_DAYS) || 30;
 
 const dataProcessingQueue = new Queue('data-processing', {
   redis: {
@@ -20,17 +33,22 @@ dataProcessingQueue.process('calculate-analytics', async (job) => {
       activeUsers: users.filter(u => u.isActive).length,
       byCountry: {},
       avgAge: 0,
-      googleUsers: users.filter(u => u.googleId).length,
+      googleUsers: users.filter(u => u.googleId || u.getLinkedAccount('google')).length,
+      githubUsers: users.filter(u => u.getLinkedAccount('github')).length,
       calculatedAt: new Date().toISOString()
     };
 
-    users.forEach(user => {
+    // Profile fields are unset until OAuth sign-ups complete their profile
+    const completeUsers = users.filter(u => !u.profileIncomplete);
+    analytics.incompleteProfiles = users.length - completeUsers.length;
+
+    completeUsers.forEach(user => {
       analytics.byCountry[user.country] = (analytics.byCountry[user.country] || 0) + 1;
       analytics.avgAge += user.age;
     });
 
-    if (users.length > 0) {
-      analytics.avgAge = Math.round(analytics.avgAge / users.length);
+    if (completeUsers.length > 0) {
+      analytics.avgAge = Math.round(analytics.avgAge / completeUsers.length);
     }
 
     logger.info('✅ Analytics calculated successfully');
@@ -41,6 +59,108 @@ dataProcessingQueue.process('calculate-analytics', async (job) => {
   }
 });
 
+dataProcessingQueue.process('purge-deleted-users', async (job) => {
+  const cutoff = new Date(Date.now() - USER_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  logger.info(`🧹 Purging accounts deleted before ${cutoff.toISOString()}...`);
+  
+  try {
+    const users = await User.find({ deletedAt: { $ne: null, $lte: cutoff } }).select('_id username');
+    
+    for (const user of users) {
+      await ApiKey.deleteMany({ user: user._id });
+      await Session.deleteMany({ user: user._id });
+      await avatar.removeAllAvatars(user._id);
+      await User.deleteOne({ _id: user._id });
+      logger.info(`Purged deleted account: ${user.username}`);
+    }
+    
+    logger.info(`✅ Purged ${users.length} deleted accounts`);
+    return { purged: users.length, cutoff: cutoff.toISOString() };
+  } catch (error) {
+    logger.error('Account purge failed:', error);
+    throw error;
+  }
+});
+
+dataProcessingQueue.process('export-user-data', async (job) => {
+  const { userId, downloadBaseUrl } = job.data;
+  logger.info(`📦 Building data export for user ${userId}...`);
+  
+  try {
+    const user = await User.findById(userId);
+    const { id, expiresAt } = await dataExport.createExport(userId);
+    
+    await sendEmail({
+      to: user.email,
+      subject: 'Your data export is ready',
+      body: `Hi ${user.username}, your data export is ready. Download it while logged in: ${downloadBaseUrl}/${id} (available until ${expiresAt.toUTCString()}).`,
+      type: 'data-export'
+    });
+    
+    logger.info(`✅ Data export ${id} ready for ${user.username}`);
+    return { exportId: id, expiresAt: expiresAt.toISOString() };
+  } catch (error) {
+    logger.error('Data export failed:', error);
+    throw error;
+  }
+});
+
+dataProcessingQueue.process('import-users', async (job) => {
+  const { importId, rows, sendInvitations, invitationBaseUrl, importedBy } = job.data;
+  const progress = { status: 'running', total: rows.length, processed: 0, created: 0, failed: 0, errors: [], startedAt: new Date().toISOString() };
+  logger.info(`📥 Importing ${rows.length} users (import ${importId})...`);
+
+  await userImport.saveProgress(importId, progress);
+
+  for (const [index, row] of rows.entries()) {
+    try {
+      // Imported accounts skip email verification; invited users prove ownership through the link
+      const user = new User({ ...row, emailVerified: true });
+      let invitationToken;
+      if (sendInvitations) {
+        invitationToken = user.getResetPasswordToken(INVITATION_EXPIRE_MS);
+      }
+      await user.save();
+
+      if (invitationToken) {
+        await sendEmail({
+          to: user.email,
+          subject: 'You have been invited',
+          body: `Hi ${user.username}, an account has been created for you. Set your password here (valid for 7 days): ${invitationBaseUrl}/${invitationToken}`,
+          type: 'invitation'
+        });
+      }
+      progress.created += 1;
+    } catch (error) {
+      // Rows were validated up front; this catches accounts registered since then
+      const message = error.code === 11000 ? 'Email or username already exists' : error.message;
+      progress.failed += 1;
+      progress.errors.push({ row: index + 1, email: row.email, username: row.username, errors: [message] });
+    }
+
+    progress.processed += 1;
+    job.progress(Math.round((progress.processed / progress.total) * 100));
+
+    // Write progress in batches so large imports don't hammer Redis
+    if (progress.processed % 25 === 0) {
+      await userImport.saveProgress(importId, progress);
+    }
+  }
+
+  progress.status = 'completed';
+  progress.completedAt = new Date().toISOString();
+  await userImport.saveProgress(importId, progress);
+
+  logger.info(`✅ Import ${importId} by ${importedBy}: ${progress.created} created, ${progress.failed} failed`);
+  return { importId, created: progress.created, failed: progress.failed };
+});
+
+dataProcessingQueue.process('purge-expired-exports', async (job) => {
+  const removed = await dataExport.purgeExpiredExports();
+  logger.info(`✅ Removed ${removed} expired data exports`);
+  return { removed };
+});
+
 const scheduleAnalytics = () => {
   dataProcessingQueue.add('calculate-analytics', {}, {
     repeat: { cron: '0 * * * *' }, // Every hour
@@ -50,15 +170,59 @@ const scheduleAnalytics = () => {
 };
 
 const scheduleCleanup = () => {
-  logger.info('✅ Cleanup job scheduled (daily)');
+  dataProcessingQueue.add('purge-deleted-users', {}, {
+    repeat: { cron: '0 3 * * *' }, // Daily at 03:00
+    removeOnComplete: true
+  });
+  dataProcessingQueue.add('purge-expired-exports', {}, {
+    repeat: { cron: '30 * * * *' }, // Every hour
+    removeOnComplete: true
+  });
+  logger.info(`✅ Cleanup job scheduled (daily, ${USER_RETENTION_DAYS}-day retention)`);
+};
+
+// Build a personal data archive in the background and email the download link
+const queueUserExport = async (userId, downloadBaseUrl) => {
+  const job = await dataProcessingQueue.add('export-user-data', { userId: String(userId), downloadBaseUrl }, {
+    attempts: 2,
+    backoff: { type: 'exponential', delay: 5000 },
+    removeOnComplete: true
+  });
+  logger.info(`Data export job ${job.id} queued`);
+  return job;
+};
+
+// Create validated users in the background; progress is polled by import id
+const queueUserImport = async ({ rows, sendInvitations, invitationBaseUrl, importedBy }) => {
+  const importId = crypto.randomBytes(12).toString('hex');
+
+  await userImport.saveProgress(importId, {
+    status: 'queued', total: rows.length, processed: 0, created: 0, failed: 0, errors: []
+  });
+
+  // The job data holds plaintext passwords, so it must not outlive the job
+  const job = await dataProcessingQueue.add('import-users', { importId, rows, sendInvitations, invitationBaseUrl, importedBy }, {
+    removeOnComplete: true,
+    removeOnFail: true
+  });
+  logger.info(`User import job ${job.id} queued (import ${importId})`);
+  return importId;
 };
 
 dataProcessingQueue.on('completed', (job, result) => {
   logger.info(`Data job ${job.id} completed`);
 });
 
-dataProcessingQueue.on('failed', (job, err) => {
+dataProcessingQueue.on('failed', async (job, err) => {
   logger.error(`Data job ${job.id} failed: ${err.message}`);
+
+  // Let admins polling an import see that it stopped
+  if (job.name === 'import-users') {
+    const progress = await userImport.getProgress(job.data.importId).catch(() => null);
+    if (progress) {
+      await userImport.saveProgress(job.data.importId, { ...progress, status: 'failed', error: err.message }).catch(() => {});
+    }
+  }
 });
 
-module.exports = { dataProcessingQueue, scheduleAnalytics, scheduleCleanup };
+module.exports = { dataProcessingQueue, scheduleAnalytics, scheduleCleanup, queueUserExport, queueUserImport, USER_RETENTION_DAYS };
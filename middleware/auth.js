@@ -1,8 +1,83 @@
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const ApiKey = require('../models/ApiKey');
+const Role = require('../models/Role');
+const Session = require('../models/Session');
+const { verifyAccessToken } = require('../utils/jwt');
+const { isImpersonatorSessionActive } = require('../utils/tokenStore');
+const { isTwoFactorRequired } = require('../utils/twoFactor');
 
-// Protect routes - verify JWT token
-exports.protect = async (req, res, next) => {
+// Count an API call against the user once per request
+exports.recordApiCall = async (req) => {
+  if (req.apiCallRecorded) return;
+  req.apiCallRecorded = true;
+  
+  await User.updateOne(
+    { _id: req.user._id },
+    { $inc: { apiCallsCount: 1 }, $set: { lastApiCall: Date.now() } }
+  );
+};
+
+// Opt a route into X-API-Key authentication; the key must carry this scope
+exports.allowApiKey = (scope) => {
+  return (req, res, next) => {
+    req.apiKeyScope = scope;
+    next();
+  };
+};
+
+// Resolve the X-API-Key header; returns an error response shape or null on success
+const authenticateApiKey = async (req, key) => {
+  if (!req.apiKeyScope) {
+    return { status: 401, message: 'API keys are not accepted on this route' };
+  }
+  
+  const apiKey = await ApiKey.findActiveByKey(key);
+  
+  if (!apiKey) {
+    return { status: 401, message: 'Invalid, expired or revoked API key' };
+  }
+  
+  if (!apiKey.scopes.includes(req.apiKeyScope)) {
+    return { status: 403, message: `API key is missing the '${req.apiKeyScope}' scope` };
+  }
+  
+  req.apiKey = apiKey;
+  req.user = await User.findById(apiKey.user);
+  
+  await ApiKey.updateOne(
+    { _id: apiKey._id },
+    { $set: { lastUsedAt: Date.now(), lastUsedIp: req.ip } }
+  );
+  return null;
+};
+
+// Attach the admin behind an impersonation token; false if that admin can no longer act
+const resolveImpersonation = async (req, res, decoded) => {
+  if (!decoded.imp) return true;
+  
+  const impersonator = await User.findById(decoded.imp);
+  if (!impersonator || !impersonator.isActive) return false;
+  
+  // Re-checked on every request: the admin may have lost the role or signed out since
+  const permissions = await Role.getPermissions(impersonator.role);
+  if (!permissions.includes('users.impersonate')) return false;
+  if (!(await isImpersonatorSessionActive(decoded))) return false;
+  
+  req.impersonator = impersonator;
+  req.impersonation = { jti: decoded.jti, exp: decoded.exp };
+  
+  // Read by the navbar banner
+  res.locals.impersonator = {
+    username: impersonator.username,
+    expiresAt: new Date(decoded.exp * 1000)
+  };
+  return true;
+};
+
+// Protect routes - verify JWT token or, where allowed, an API key
+// Options: requireVerifiedEmail blocks accounts that haven't confirmed their email
+const protectRoute = ({ requireVerifiedEmail = false } = {}) => async (req, res, next) => {
+  const apiKey = req.headers['x-api-key'];
   let token;
   
   // Check for token in headers
@@ -14,7 +89,7 @@ exports.protect = async (req, res, next) => {
     token = req.cookies.token;
   }
   
-  if (!token) {
+  if (!token && !apiKey) {
     return res.status(401).json({
       success: false,
       message: 'Not authorized to access this route. Please login.'
@@ -22,11 +97,35 @@ exports.protect = async (req, res, next) => {
   }
   
   try {
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    // Get user from token
-    req.user = await User.findById(decoded.id);
+    if (apiKey) {
+      const failure = await authenticateApiKey(req, apiKey);
+      
+      if (failure) {
+        return res.status(failure.status).json({
+          success: false,
+          message: failure.message
+        });
+      }
+    } else {
+      // Verify token and make sure it has not been revoked
+      const decoded = await verifyAccessToken(token);
+      
+      // Get user from token
+      req.user = await User.findById(decoded.id);
+      
+      if (!(await resolveImpersonation(req, res, decoded))) {
+        return res.status(401).json({
+          success: false,
+          message: 'Impersonation is no longer valid'
+        });
+      }
+      
+      // Session the token belongs to, used by the device management routes
+      if (decoded.sid) {
+        req.sessionId = decoded.sid;
+        await Session.touch(decoded.sid);
+      }
+    }
     
     if (!req.user || !req.user.isActive) {
       return res.status(401).json({
@@ -35,6 +134,18 @@ exports.protect = async (req, res, next) => {
       });
     }
     
+    if (requireVerifiedEmail && !req.user.emailVerified) {
+      return res.status(403).json({
+        success: false,
+        message: 'Please verify your email address to access this route'
+      });
+    }
+    
+    // Every request made with an API key counts as an API call
+    if (req.apiKey) {
+      await exports.recordApiCall(req);
+    }
+    
     next();
   } catch (error) {
     return res.status(401).json({
@@ -44,19 +155,124 @@ exports.protect = async (req, res, next) => {
   }
 };
 
+exports.protect = protectRoute();
+
+// Server-rendered pages: an expired access cookie is renewed through /api/auth/resume (the
+// refresh cookie is scoped to /api/auth) instead of answering the browser with JSON
+exports.protectPage = async (req, res, next) => {
+  const token = req.cookies && req.cookies.token;
+  
+  // Scripts sending a bearer token get the usual JSON answers
+  if (req.headers.authorization) {
+    return exports.protect(req, res, next);
+  }
+  
+  try {
+    if (token) {
+      await verifyAccessToken(token);
+      return exports.protect(req, res, next);
+    }
+  } catch (error) {
+    // Expired or revoked, renew below
+  }
+  
+  res.redirect(`/api/auth/resume?next=${encodeURIComponent(req.originalUrl)}`);
+};
+
+// Used by /api/external/* - set REQUIRE_EMAIL_VERIFICATION=false to disable the check
+exports.protectVerified = protectRoute({
+  requireVerifiedEmail: process.env.REQUIRE_EMAIL_VERIFICATION !== 'false'
+});
+
 // Authorize roles
 exports.authorize = (...roles) => {
-  return (req, res, next) => {
-    if (!roles.includes(req.user.role)) {
-      return res.status(403).json({
-        success: false,
-        message: `Role '${req.user.role}' is not authorized to access this route`
-      });
+  return async (req, res, next) => {
+    try {
+      if (!roles.includes(req.user.role)) {
+        return res.status(403).json({
+          success: false,
+          message: `Role '${req.user.role}' is not authorized to access this route`
+        });
+      }
+      
+      req.permissions = req.permissions || await Role.getPermissions(req.user.role);
+      if (isTwoFactorRequired(req.permissions) && !req.user.twoFactorEnabled) {
+        return res.status(403).json({
+          success: false,
+          message: 'Two-factor authentication must be enabled to access this route'
+        });
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+// Authorize by permission - the user's role must grant every listed permission
+exports.requirePermission = (...permissions) => {
+  return async (req, res, next) => {
+    try {
+      req.permissions = req.permissions || await Role.getPermissions(req.user.role);
+      res.locals.permissions = req.permissions;
+      
+      const missing = permissions.filter(permission => !req.permissions.includes(permission));
+      if (missing.length > 0) {
+        return res.status(403).json({
+          success: false,
+          message: `Missing permission: ${missing.join(', ')}`
+        });
+      }
+      
+      if (isTwoFactorRequired(req.permissions) && !req.user.twoFactorEnabled) {
+        return res.status(403).json({
+          success: false,
+          message: 'Two-factor authentication must be enabled to access this route'
+        });
+      }
+      next();
+    } catch (error) {
+      next(error);
     }
-    next();
   };
 };
 
+// Resolve the signed-in user's permissions for views (the navbar picks the dashboard from them)
+exports.loadPermissions = async (req, res, next) => {
+  try {
+    req.permissions = req.permissions || (req.user ? await Role.getPermissions(req.user.role) : []);
+    res.locals.permissions = req.permissions;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Refuse account-changing actions while an admin is acting as the user
+exports.blockWhileImpersonating = (req, res, next) => {
+  if (req.impersonator) {
+    return res.status(403).json({
+      success: false,
+      message: 'This action is not allowed while impersonating a user'
+    });
+  }
+  next();
+};
+
+// Send OAuth sign-ups back to the profile completion page until they finish it
+exports.requireCompleteProfile = (req, res, next) => {
+  if (req.user && req.user.profileIncomplete) {
+    if (req.accepts(['html', 'json']) === 'html') {
+      return res.redirect('/complete-profile');
+    }
+    return res.status(403).json({
+      success: false,
+      message: 'Please complete your profile first'
+    });
+  }
+  next();
+};
+
 // Optional auth - doesn't block if no token
 exports.optionalAuth = async (req, res, next) => {
   let token;
@@ -69,8 +285,11 @@ exports.optionalAuth = async (req, res, next) => {
   
   if (token) {
     try {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      req.user = await User.findById(decoded.id);
+      const decoded = await verifyAccessToken(token);
+      
+      if (await resolveImpersonation(req, res, decoded)) {
+        req.user = await User.findById(decoded.id);
+      }
     } catch (error) {
       // Continue without user
     }
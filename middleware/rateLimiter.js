@@ -40,8 +40,30 @@ const externalApiLimiter = rateLimit({
   }
 });
 
+// Limiter for endpoints that send emails on demand
+const emailLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 3, // 3 emails per hour
+  message: {
+    success: false,
+    message: 'Too many email requests, please try again later.'
+  }
+});
+
+// Live username checks fire on every blur, so allow bursts but stop enumeration
+const usernameCheckLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 30, // 30 checks per minute
+  message: {
+    success: false,
+    message: 'Too many username checks, please slow down.'
+  }
+});
+
 module.exports = {
   apiLimiter,
   authLimiter,
-  externalApiLimiter
+  externalApiLimiter,
+  emailLimiter,
+  usernameCheckLimiter
 };
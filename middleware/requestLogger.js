@@ -14,13 +14,20 @@ morgan.token('response-time-sec', (req, res) => {
   return responseTime.toFixed(3);
 });
 
+// URL with one-time codes and tokens redacted (query params and token paths)
+morgan.token('safe-url', (req) => {
+  return (req.originalUrl || req.url)
+    .replace(/([?&](?:code|token)=)[^&]*/gi, '$1[REDACTED]')
+    .replace(/(\/(?:reset-password|resetpassword|verify)\/)(?!resend\b)[^/?]+/gi, '$1[REDACTED]');
+});
+
 // Development format
-const devFormat = ':method :url :status :response-time ms - :user';
+const devFormat = ':method :safe-url :status :response-time ms - :user';
 
 // Production format (JSON)
 const prodFormat = JSON.stringify({
   method: ':method',
-  url: ':url',
+  url: ':safe-url',
   status: ':status',
   responseTime: ':response-time ms',
   user: ':user',
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Scopes a personal API key can be granted
+const API_KEY_SCOPES = ['external:read', 'users:read', 'users:admin'];
+
+// Scopes that only staff accounts (roles granting any permission) may put on a key
+const ADMIN_SCOPES = ['users:admin'];
+
+const KEY_PREFIX = 'mk_';
+
+const ApiKeySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Key name is required'],
+    trim: true,
+    maxlength: [50, 'Key name cannot exceed 50 characters']
+  },
+  // First characters of the key, shown so users can tell keys apart
+  prefix: {
+    type: String,
+    required: true
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  scopes: {
+    type: [{
+      type: String,
+      enum: API_KEY_SCOPES
+    }],
+    validate: [scopes => scopes.length > 0, 'At least one scope is required']
+  },
+  lastUsedAt: Date,
+  lastUsedIp: String,
+  expiresAt: Date,
+  revokedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+ApiKeySchema.statics.hashKey = function(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+};
+
+// Create a key; the plaintext value is returned once and never stored
+ApiKeySchema.statics.generate = async function({ user, name, scopes, expiresAt }) {
+  const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+
+  const apiKey = await this.create({
+    user,
+    name,
+    scopes,
+    expiresAt,
+    prefix: key.substring(0, 10),
+    keyHash: this.hashKey(key)
+  });
+
+  return { apiKey, key };
+};
+
+// Look up an active, unexpired key by its plaintext value
+ApiKeySchema.statics.findActiveByKey = function(key) {
+  return this.findOne({
+    keyHash: this.hashKey(key),
+    revokedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: Date.now() } }]
+  });
+};
+
+ApiKeySchema.methods.toJSON = function() {
+  const apiKey = this.toObject();
+  delete apiKey.keyHash;
+  return apiKey;
+};
+
+const ApiKey = mongoose.model('ApiKey', ApiKeySchema);
+
+module.exports = ApiKey;
+module.exports.API_KEY_SCOPES = API_KEY_SCOPES;
+module.exports.ADMIN_SCOPES = ADMIN_SCOPES;
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+const AuditEventSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    required: true,
+    index: true
+  },
+  outcome: {
+    type: String,
+    enum: ['success', 'failure'],
+    default: 'success',
+    index: true
+  },
+  // Who did it; empty for anonymous requests such as failed logins
+  actor: {
+    id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
+    username: String
+  },
+  // What it was done to
+  target: {
+    type: { type: String },
+    id: { type: String, index: true },
+    label: String
+  },
+  ip: String,
+  userAgent: String,
+  metadata: mongoose.Schema.Types.Mixed,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    index: true
+  }
+});
+
+// Append-only: events can be written once and never changed or removed
+const refuse = function(next) {
+  next(new Error('Audit events are append-only'));
+};
+
+AuditEventSchema.pre('save', function(next) {
+  if (!this.isNew) return refuse(next);
+  next();
+});
+
+[
+  'updateOne',
+  'updateMany',
+  'replaceOne',
+  'findOneAndUpdate',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete',
+  'findOneAndRemove'
+].forEach(operation => AuditEventSchema.pre(operation, refuse));
+
+const AuditEvent = mongoose.model('AuditEvent', AuditEventSchema);
+
+module.exports = AuditEvent;
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+// Every permission a role can be granted
+const PERMISSIONS = [
+  'users.read',
+  'users.create',
+  'users.update',
+  'users.delete',
+  'users.impersonate',
+  'roles.manage',
+  'cache.clear',
+  'logs.read',
+  'audit.read'
+];
+
+// Built-in roles; 'admin' always holds every permission
+const SYSTEM_ROLES = {
+  admin: { description: 'Full access', permissions: PERMISSIONS },
+  user: { description: 'Regular account', permissions: [] }
+};
+
+const RoleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Role name is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z][a-z0-9_-]{1,29}$/, 'Role name must be 2-30 lowercase letters, numbers, - or _']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  permissions: [{
+    type: String,
+    enum: PERMISSIONS
+  }],
+  isSystem: {
+    type: Boolean,
+    default: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Create the built-in roles if they are missing
+RoleSchema.statics.ensureSystemRoles = async function() {
+  await Promise.all(Object.entries(SYSTEM_ROLES).map(([name, role]) => {
+    return this.updateOne(
+      { name },
+      { $setOnInsert: { name, ...role, isSystem: true } },
+      { upsert: true }
+    );
+  }));
+};
+
+// Where a user lands after signing in; staff who can read users get the admin dashboard
+const homePath = (permissions, fallback = '/dashboard') => {
+  return permissions.includes('users.read') ? '/api-dashboard' : fallback;
+};
+
+// Resolve the permissions granted by a role name
+RoleSchema.statics.getPermissions = async function(name) {
+  if (name === 'admin') {
+    return PERMISSIONS;
+  }
+
+  const role = await this.findOne({ name }).lean();
+  return role ? role.permissions : [];
+};
+
+const Role = mongoose.model('Role', RoleSchema);
+
+module.exports = Role;
+module.exports.PERMISSIONS = PERMISSIONS;
+module.exports.homePath = homePath;
@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+const UAParser = require('ua-parser-js');
+
+// Only write lastSeenAt when it is older than this, to avoid a write per request
+const LAST_SEEN_INTERVAL = 60 * 1000;
+
+// One document per login; the id of the refresh token family is the session id
+const SessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  family: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  method: {
+    type: String,
+    enum: ['password', 'google', 'github'],
+    default: 'password'
+  },
+  ip: String,
+  userAgent: String,
+  browser: String,
+  os: String,
+  device: String,
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Follows the refresh token; MongoDB removes the document once it has passed
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const parseUserAgent = (userAgent) => {
+  const { browser, os, device } = new UAParser(userAgent).getResult();
+
+  return {
+    browser: [browser.name, browser.major].filter(Boolean).join(' ') || 'Unknown browser',
+    os: [os.name, os.version].filter(Boolean).join(' ') || 'Unknown OS',
+    device: device.type || 'desktop'
+  };
+};
+
+// Record a new login for the request that created it
+SessionSchema.statics.start = function({ user, family, method, expiresAt, req }) {
+  const userAgent = (req && req.get('user-agent')) || '';
+
+  return this.create({
+    user,
+    family,
+    method,
+    expiresAt,
+    ip: req && req.ip,
+    userAgent,
+    ...parseUserAgent(userAgent)
+  });
+};
+
+// Revoke every active session of a user, optionally keeping one
+SessionSchema.statics.revokeAllForUser = function(userId, { except } = {}) {
+  const filter = { user: userId, revokedAt: null };
+  if (except) filter.family = { $ne: except };
+
+  return this.updateMany(filter, { $set: { revokedAt: Date.now() } });
+};
+
+// Record activity without writing on every request
+SessionSchema.statics.touch = function(family, { expiresAt } = {}) {
+  const update = { lastSeenAt: Date.now() };
+  if (expiresAt) update.expiresAt = expiresAt;
+
+  return this.updateOne(
+    expiresAt ? { family } : { family, lastSeenAt: { $lt: Date.now() - LAST_SEEN_INTERVAL } },
+    { $set: update }
+  );
+};
+
+SessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > Date.now();
+});
+
+const Session = mongoose.model('Session', SessionSchema);
+
+module.exports = Session;
@@ -1,11 +1,21 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+
+// Brute-force protection: short progressive delays, then a temporary lock
+const MAX_LOGIN_ATTEMPTS = parseInt(process.env.MAX_LOGIN_ATTEMPTS) || 10;
+const LOCK_TIME = (parseInt(process.env.ACCOUNT_LOCK_MINUTES) || 30) * 60 * 1000;
+const DELAY_AFTER_ATTEMPTS = 3;
+
+// OAuth sign-ups start without these fields until the user completes their profile
+function requiredUnlessIncomplete() {
+  return !this.profileIncomplete;
+}
 
 const UserSchema = new mongoose.Schema({
   username: {
     type: String,
     required: [true, 'Username is required'],
-    unique: true,
     trim: true,
     minlength: [3, 'Username must be at least 3 characters'],
     maxlength: [20, 'Username cannot exceed 20 characters']
@@ -17,39 +27,68 @@ const UserSchema = new mongoose.Schema({
     lowercase: true,
     match: [/^\S+@\S+\.\S+$/, 'Please provide a valid email']
   },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
   password: {
     type: String,
-    required: [true, 'Password is required'],
+    required: [requiredUnlessIncomplete, 'Password is required'],
     minlength: [8, 'Password must be at least 8 characters'],
     select: false
   },
   // OAuth fields
+  // Legacy Google ID, moved into linkedAccounts on the next Google sign-in
   googleId: {
     type: String,
     unique: true,
     sparse: true
   },
+  linkedAccounts: [{
+    _id: false,
+    provider: {
+      type: String,
+      enum: ['google', 'github'],
+      required: true
+    },
+    providerId: {
+      type: String,
+      required: true
+    },
+    email: String,
+    displayName: String,
+    linkedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   avatar: String,
+  // Set when the avatar was uploaded rather than taken from an OAuth profile
+  avatarId: String,
+  profileIncomplete: {
+    type: Boolean,
+    default: false
+  },
   
   phone: {
     type: String,
-    required: true,
+    required: requiredUnlessIncomplete,
     match: [/^[6-9]\d{9}$/, 'Invalid phone number']
   },
   age: {
     type: Number,
-    required: true,
+    required: requiredUnlessIncomplete,
     min: 18,
     max: 100
   },
   gender: {
     type: String,
-    required: true,
+    required: requiredUnlessIncomplete,
     enum: ['male', 'female', 'other']
   },
   country: {
     type: String,
-    required: true
+    required: requiredUnlessIncomplete
   },
   postalCode: String,
   website: String,
@@ -62,15 +101,25 @@ const UserSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Name of a Role document; permissions are resolved from the role
   role: {
     type: String,
-    enum: ['user', 'admin'],
+    trim: true,
+    lowercase: true,
     default: 'user'
   },
   isActive: {
     type: Boolean,
     default: true
   },
+  // Set by soft delete; the account is purged once the retention window has passed
+  deletedAt: {
+    type: Date,
+    default: null,
+    index: true
+  },
+  // isActive at the time of deletion, so a restore doesn't reactivate a deactivated account
+  activeBeforeDelete: Boolean,
   // API Usage Tracking
   apiCallsCount: {
     type: Number,
@@ -79,6 +128,38 @@ const UserSchema = new mongoose.Schema({
   lastApiCall: Date,
   
   lastLogin: Date,
+  
+  // Failed login tracking
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lockUntil: Date,
+  
+  // Two-factor authentication (TOTP)
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorSecret: {
+    type: String,
+    select: false
+  },
+  twoFactorBackupCodes: {
+    type: [String],
+    select: false
+  },
+  
+  // Password reset
+  resetPasswordToken: {
+    type: String,
+    select: false
+  },
+  resetPasswordExpire: {
+    type: Date,
+    select: false
+  },
+  
   createdAt: {
     type: Date,
     default: Date.now
@@ -89,6 +170,26 @@ const UserSchema = new mongoose.Schema({
   }
 });
 
+// Usernames are unique regardless of case; lookups must pass the same collation to use this index
+const USERNAME_COLLATION = { locale: 'en', strength: 2 };
+UserSchema.index(
+  { username: 1 },
+  { unique: true, collation: USERNAME_COLLATION, name: 'username_case_insensitive' }
+);
+
+// Admin user list: default sort, common filters combined with it, and age ranges
+UserSchema.index({ createdAt: -1, _id: -1 });
+UserSchema.index({ role: 1, createdAt: -1 });
+UserSchema.index({ country: 1, createdAt: -1 });
+UserSchema.index({ isActive: 1, createdAt: -1 });
+UserSchema.index({ newsletter: 1, createdAt: -1 });
+UserSchema.index({ age: 1 });
+
+UserSchema.index(
+  { 'linkedAccounts.provider': 1, 'linkedAccounts.providerId': 1 },
+  { unique: true, partialFilterExpression: { 'linkedAccounts.providerId': { $exists: true } } }
+);
+
 UserSchema.pre('save', async function(next) {
   if (!this.isModified('password')) {
     return next();
@@ -104,14 +205,156 @@ UserSchema.pre('save', function(next) {
   next();
 });
 
+// Soft-deleted accounts are hidden unless the query filters on deletedAt itself
+function excludeDeleted() {
+  if (this.getFilter().deletedAt === undefined) {
+    this.where({ deletedAt: null });
+  }
+}
+
+UserSchema.pre(['find', 'findOne', 'countDocuments', 'findOneAndUpdate', 'updateOne', 'updateMany'], excludeDeleted);
+
+UserSchema.pre('aggregate', function() {
+  const [first] = this.pipeline();
+  if (!(first && first.$match && first.$match.deletedAt !== undefined)) {
+    this.pipeline().unshift({ $match: { deletedAt: null } });
+  }
+});
+
+UserSchema.methods.softDelete = function() {
+  this.deletedAt = Date.now();
+  this.activeBeforeDelete = this.isActive;
+  this.isActive = false;
+  return this.save({ validateModifiedOnly: true });
+};
+
+UserSchema.methods.restore = function() {
+  this.deletedAt = null;
+  // Accounts deleted before the previous state was recorded come back active
+  this.isActive = this.activeBeforeDelete !== false;
+  this.activeBeforeDelete = undefined;
+  return this.save({ validateModifiedOnly: true });
+};
+
 UserSchema.methods.comparePassword = async function(candidatePassword) {
+  if (!this.password) {
+    return false;
+  }
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+UserSchema.methods.getLinkedAccount = function(provider) {
+  return (this.linkedAccounts || []).find(account => account.provider === provider);
+};
+
+// Find the user a provider identity belongs to, including legacy googleId links
+UserSchema.statics.findByProvider = function(provider, providerId) {
+  const conditions = [{ linkedAccounts: { $elemMatch: { provider, providerId } } }];
+  if (provider === 'google') {
+    conditions.push({ googleId: providerId });
+  }
+  return this.findOne({ $or: conditions });
+};
+
+// Accounts created before email verification existed count as verified; runs at startup.
+// Uses the raw collection so soft-deleted accounts are backfilled too.
+UserSchema.statics.backfillEmailVerified = async function() {
+  const result = await this.collection.updateMany(
+    { emailVerified: { $exists: false } },
+    { $set: { emailVerified: true } }
+  );
+  return result.modifiedCount;
+};
+
+// Google sign-ups from before profile completion were saved with made-up profile data.
+// Strip it and send those users through /complete-profile; runs at startup.
+UserSchema.statics.backfillPlaceholderProfiles = async function() {
+  const result = await this.collection.updateMany(
+    {
+      $or: [{ googleId: { $exists: true } }, { 'linkedAccounts.provider': 'google' }],
+      phone: '9999999999',
+      age: 25,
+      gender: 'other',
+      country: 'India'
+    },
+    {
+      $set: { profileIncomplete: true },
+      $unset: { phone: '', age: '', gender: '', country: '' }
+    }
+  );
+
+  // The placeholder bio only goes where nobody has edited it
+  await this.collection.updateMany(
+    { profileIncomplete: true, bio: 'Logged in via Google' },
+    { $unset: { bio: '' } }
+  );
+  return result.modifiedCount;
+};
+
+UserSchema.virtual('isLocked').get(function() {
+  return Boolean(this.lockUntil && this.lockUntil > Date.now());
+});
+
+// Record a failed login atomically; resolves true when this attempt locked the account
+UserSchema.methods.registerFailedLogin = async function() {
+  const User = this.constructor;
+  
+  // A full lock has expired, start counting again
+  if (this.lockUntil && this.lockUntil <= Date.now() && this.failedLoginAttempts >= MAX_LOGIN_ATTEMPTS) {
+    await User.updateOne({ _id: this._id }, { $set: { failedLoginAttempts: 1 }, $unset: { lockUntil: 1 } });
+    this.failedLoginAttempts = 1;
+    this.lockUntil = undefined;
+    return false;
+  }
+  
+  const updated = await User.findByIdAndUpdate(
+    this._id,
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true }
+  );
+  const attempts = updated.failedLoginAttempts;
+  
+  let lockUntil;
+  if (attempts >= MAX_LOGIN_ATTEMPTS) {
+    lockUntil = Date.now() + LOCK_TIME;
+  } else if (attempts >= DELAY_AFTER_ATTEMPTS) {
+    lockUntil = Date.now() + Math.pow(2, attempts - DELAY_AFTER_ATTEMPTS) * 1000;
+  }
+  
+  if (lockUntil) {
+    await User.updateOne({ _id: this._id }, { $set: { lockUntil } });
+  }
+  
+  this.failedLoginAttempts = attempts;
+  this.lockUntil = lockUntil;
+  return attempts === MAX_LOGIN_ATTEMPTS;
+};
+
+UserSchema.methods.resetLoginAttempts = function() {
+  this.failedLoginAttempts = 0;
+  this.lockUntil = undefined;
+};
+
+// Generate reset token; only its hash is stored on the user
+// Defaults to 15 minutes; invitations use the same token with a longer lifetime
+UserSchema.methods.getResetPasswordToken = function(expiresIn = 15 * 60 * 1000) {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+  
+  this.resetPasswordToken = crypto.createHash('sha256').update(resetToken).digest('hex');
+  this.resetPasswordExpire = Date.now() + expiresIn;
+  
+  return resetToken;
+};
+
 UserSchema.methods.toJSON = function() {
   const user = this.toObject();
   delete user.password;
+  delete user.resetPasswordToken;
+  delete user.resetPasswordExpire;
+  delete user.twoFactorSecret;
+  delete user.twoFactorBackupCodes;
   return user;
 };
 
 module.exports = mongoose.model('User', UserSchema);
+module.exports.USERNAME_COLLATION = USERNAME_COLLATION;
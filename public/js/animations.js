@@ -136,6 +136,112 @@ class DynamicFormManager {
     if (cardInput) {
       cardInput.addEventListener('input', (e) => this.formatCreditCard(e.target));
     }
+
+    // Field validation with the same rules the server applies (/js/validators.js)
+    const form = document.getElementById('advancedForm');
+    if (form && window.Validators) {
+      form.querySelectorAll('input, select, textarea').forEach(field => {
+        field.addEventListener('blur', () => this.validateField(form, field.name));
+      });
+      form.addEventListener('submit', (e) => {
+        if (!this.validateForm(form)) e.preventDefault();
+      });
+
+      const usernameInput = form.elements.username;
+      if (usernameInput) {
+        usernameInput.addEventListener('blur', () => this.checkUsernameAvailability(form));
+        usernameInput.addEventListener('input', () => usernameInput.classList.remove('is-valid'));
+      }
+    }
+  }
+
+  // Ask the server whether a well-formed username is free; taken or reserved names get suggestions
+  async checkUsernameAvailability(form) {
+    const field = form.elements.username;
+    const username = field.value.trim();
+    if (!username || this.getFieldErrors(form).username) return;
+
+    let data;
+    try {
+      const response = await fetch('/check-username', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username })
+      });
+      data = await response.json();
+    } catch (error) {
+      return; // The server checks again on submit
+    }
+
+    // Ignore answers for a name the user has since changed
+    if (field.value.trim() !== username) return;
+
+    field.classList.toggle('is-valid', Boolean(data.available));
+    if (data.available) return;
+
+    this.showFieldError(form, 'username', data.message || 'Username already taken');
+    this.showUsernameSuggestions(form, data.suggestions || []);
+  }
+
+  showUsernameSuggestions(form, suggestions) {
+    if (suggestions.length === 0) return;
+
+    const field = form.elements.username;
+    const feedback = field.parentElement.querySelector('.invalid-feedback');
+    feedback.append(' Try: ');
+
+    suggestions.forEach((suggestion, index) => {
+      const link = document.createElement('a');
+      link.href = '#';
+      link.textContent = suggestion;
+      link.addEventListener('click', (e) => {
+        e.preventDefault();
+        field.value = suggestion;
+        this.showFieldError(form, 'username', null);
+        this.checkUsernameAvailability(form);
+      });
+      feedback.append(index > 0 ? ', ' : '', link);
+    });
+  }
+
+  // The shared validator works on the whole form because some rules span fields
+  getFieldErrors(form) {
+    return Validators.validateRegistrationFields(Object.fromEntries(new FormData(form)));
+  }
+
+  showFieldError(form, name, message) {
+    const field = form.elements[name];
+    if (!field || !field.classList) return;
+
+    let feedback = field.parentElement.querySelector('.invalid-feedback');
+    if (!feedback) {
+      feedback = document.createElement('div');
+      feedback.className = 'invalid-feedback';
+      field.parentElement.appendChild(feedback);
+    }
+
+    field.classList.toggle('is-invalid', Boolean(message));
+    if (message) feedback.textContent = message;
+  }
+
+  validateField(form, name) {
+    if (!name) return;
+    const errors = this.getFieldErrors(form);
+    this.showFieldError(form, name, errors[name]);
+
+    // Changing the password can fix or break the confirmation
+    if (name === 'password' && form.elements.confirmPassword.value) {
+      this.showFieldError(form, 'confirmPassword', errors.confirmPassword);
+    }
+  }
+
+  validateForm(form) {
+    const errors = this.getFieldErrors(form);
+    Array.from(form.elements).forEach(field => this.showFieldError(form, field.name, errors[field.name]));
+
+    const firstInvalid = form.querySelector('.is-invalid');
+    if (firstInvalid) firstInvalid.focus();
+    return Object.keys(errors).length === 0;
   }
 
   addField() {
@@ -186,27 +292,15 @@ class DynamicFormManager {
 
   updateCountryFields(country) {
     const postalCodeContainer = document.getElementById('postalCodeContainer');
-    if (!postalCodeContainer) return;
-
-    const labels = {
-      'India': 'PIN Code',
-      'USA': 'ZIP Code',
-      'UK': 'Postal Code',
-      'Canada': 'Postal Code'
-    };
-
-    const placeholders = {
-      'India': '400001',
-      'USA': '12345',
-      'UK': 'SW1A 1AA',
-      'Canada': 'K1A 0B1'
-    };
+    if (!postalCodeContainer || !window.Validators) return;
 
+    // Hints come from the same rules the server validates against
+    const rule = Validators.POSTAL_CODES[country];
     const label = postalCodeContainer.querySelector('label');
     const input = postalCodeContainer.querySelector('input');
 
-    if (label) label.textContent = labels[country] || 'Postal Code';
-    if (input) input.placeholder = placeholders[country] || 'Enter code';
+    if (label) label.textContent = rule ? rule.label : 'Postal Code';
+    if (input) input.placeholder = rule ? `e.g. ${rule.example}` : 'Enter code';
   }
 
   updatePasswordStrength(password) {
@@ -214,54 +308,24 @@ class DynamicFormManager {
     const strengthText = document.getElementById('passwordStrengthText');
     const requirementsList = document.getElementById('passwordRequirements');
 
-    if (!strengthBar) return;
+    if (!strengthBar || !window.Validators) return;
 
-    // Calculate strength
-    let strength = 0;
-    const requirements = {
-      length: password.length >= 8,
-      lower: /[a-z]/.test(password),
-      upper: /[A-Z]/.test(password),
-      number: /\d/.test(password),
-      special: /[@$!%*?&]/.test(password)
-    };
-
-    Object.values(requirements).forEach(met => { if (met) strength += 20; });
+    // Same scoring as the server, so "Strong" here is never rejected there
+    const { score, level, checks } = Validators.validators.calculatePasswordStrength(password);
+    const colors = { weak: 'bg-danger', medium: 'bg-warning', strong: 'bg-success', excellent: 'bg-success' };
 
     // Update progress bar
-    strengthBar.style.width = strength + '%';
-    strengthBar.className = 'progress-bar progress-bar-animated';
-
-    if (strength < 40) {
-      strengthBar.classList.add('bg-danger');
-      if (strengthText) strengthText.textContent = 'Weak';
-    } else if (strength < 80) {
-      strengthBar.classList.add('bg-warning');
-      if (strengthText) strengthText.textContent = 'Medium';
-    } else {
-      strengthBar.classList.add('bg-success');
-      if (strengthText) strengthText.textContent = 'Strong';
-    }
+    strengthBar.style.width = score + '%';
+    strengthBar.className = `progress-bar progress-bar-animated ${colors[level]}`;
+    if (strengthText) strengthText.textContent = level.charAt(0).toUpperCase() + level.slice(1);
 
-    // Update requirements list
+    // Update requirements list; optional checks only add to the score
     if (requirementsList) {
-      requirementsList.innerHTML = `
-        <li class="${requirements.length ? 'text-success' : 'text-muted'}">
-          ${requirements.length ? '✓' : '○'} At least 8 characters
-        </li>
-        <li class="${requirements.lower ? 'text-success' : 'text-muted'}">
-          ${requirements.lower ? '✓' : '○'} Lowercase letter
-        </li>
-        <li class="${requirements.upper ? 'text-success' : 'text-muted'}">
-          ${requirements.upper ? '✓' : '○'} Uppercase letter
-        </li>
-        <li class="${requirements.number ? 'text-success' : 'text-muted'}">
-          ${requirements.number ? '✓' : '○'} Number
-        </li>
-        <li class="${requirements.special ? 'text-success' : 'text-muted'}">
-          ${requirements.special ? '✓' : '○'} Special character (@$!%*?&)
+      requirementsList.innerHTML = Validators.PASSWORD_CHECKS.map(check => `
+        <li class="${checks[check.key] ? 'text-success' : 'text-muted'}">
+          ${checks[check.key] ? '✓' : '○'} ${check.label}${check.required ? '' : ' (bonus)'}
         </li>
-      `;
+      `).join('');
     }
   }
 
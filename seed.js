@@ -1,11 +1,13 @@
 require('dotenv').config();
 const mongoose = require('mongoose');
 const User = require('./models/User');
+const Role = require('./models/Role');
 
 const seedUsers = [
   {
     username: 'admin',
     email: 'admin@test.com',
+    emailVerified: true,
     password: 'Admin@123',
     phone: '9876543210',
     age: 30,
@@ -18,6 +20,7 @@ const seedUsers = [
   {
     username: 'testuser',
     email: 'user@test.com',
+    emailVerified: true,
     password: 'User@123',
     phone: '8765432109',
     age: 25,
@@ -37,6 +40,14 @@ const seedDB = async () => {
     await User.deleteMany({});
     console.log('Cleared existing users');
     
+    await Role.ensureSystemRoles();
+    await Role.updateOne(
+      { name: 'support' },
+      { $set: { description: 'Read-only user access', permissions: ['users.read'] } },
+      { upsert: true }
+    );
+    console.log('Roles ready: admin, user, support');
+    
     await User.create(seedUsers);
     console.log('✅ Demo users created successfully!');
     console.log('Admin: admin@test.com / Admin@123');
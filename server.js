@@ -10,27 +10,54 @@ const xss = require('xss-clean');
 const hpp = require('hpp');
 const compression = require('compression');
 const path = require('path');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const multer = require('multer');
 
 const connectDB = require('./config/database');
 const logger = require('./config/logger');
 const redisClient = require('./config/redis');
 const passport = require('./config/passport');
 const User = require('./models/User');
-const { protect, authorize, optionalAuth } = require('./middleware/auth');
-const { sendTokenResponse } = require('./utils/jwt');
-const { apiLimiter, authLimiter, externalApiLimiter } = require('./middleware/rateLimiter');
-const { errorHandler } = require('./middleware/errorHandler');
+const ApiKey = require('./models/ApiKey');
+const Role = require('./models/Role');
+const Session = require('./models/Session');
+const AuditEvent = require('./models/AuditEvent');
+const { validators, validateRegistrationFields, validateRegistrationForm, validateProfileUpdate } = require('./validators');
+const { protect, protectPage, protectVerified, optionalAuth, requireCompleteProfile, requirePermission, loadPermissions, blockWhileImpersonating, allowApiKey, recordApiCall } = require('./middleware/auth');
+const { sendTokenResponse, rotateRefreshToken, revokeTokens, setTokenCookies, clearTokenCookies, generateEmailVerificationToken, verifyEmailVerificationToken, generateTwoFactorChallenge, verifyTwoFactorChallenge, consumeTwoFactorChallenge, tokenUser, startSession, revokeSession, revokeAllSessions, generateImpersonationToken } = require('./utils/jwt');
+const { createAuthorizationCode, consumeAuthorizationCode, revokeAccessToken } = require('./utils/tokenStore');
+const { buildUrl } = require('./utils/url');
+const { audit, userTarget } = require('./utils/audit');
+const { toCsvRow } = require('./utils/csv');
+const userQuery = require('./utils/userQuery');
+const { checkUsername, isUsernameTaken } = require('./utils/username');
+const twoFactor = require('./utils/twoFactor');
+const { apiLimiter, authLimiter, externalApiLimiter, emailLimiter, usernameCheckLimiter } = require('./middleware/rateLimiter');
+const { ErrorResponse, errorHandler } = require('./middleware/errorHandler');
 const requestLogger = require('./middleware/requestLogger');
 const { cacheMiddleware, clearCache } = require('./middleware/cache');
 const ExternalApiService = require('./services/externalApi');
 const { sendEmail } = require('./jobs/emailQueue');
-const { scheduleAnalytics, scheduleCleanup } = require('./jobs/dataProcessingQueue');
+const { scheduleAnalytics, scheduleCleanup, queueUserExport, queueUserImport, USER_RETENTION_DAYS } = require('./jobs/dataProcessingQueue');
+const dataExport = require('./services/dataExport');
+const userImport = require('./services/userImport');
+const userExport = require('./services/userExport');
+const avatar = require('./services/avatar');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Connect to MongoDB
 connectDB();
+Role.ensureSystemRoles().catch(error => logger.error('Failed to create system roles:', error));
+User.backfillEmailVerified()
+  .then(count => count && logger.info(`Marked ${count} existing accounts as email-verified`))
+  .catch(error => logger.error('Failed to backfill emailVerified:', error));
+User.backfillPlaceholderProfiles()
+  .then(count => count && logger.info(`Marked ${count} Google accounts with placeholder data as incomplete`))
+  .catch(error => logger.error('Failed to backfill placeholder profiles:', error));
 
 // Schedule background jobs
 scheduleAnalytics();
@@ -122,39 +149,90 @@ app.use(passport.session());
 
 // Static files
 app.use(express.static('public'));
+
+// The validation rules live outside public/ because the server requires them too
+app.get('/js/validators.js', (req, res) => {
+  res.set('Cache-Control', 'public, max-age=3600');
+  res.sendFile(path.join(__dirname, 'validators.js'));
+});
 app.set('view engine', 'ejs');
 app.set('views', path.join(__dirname, 'views'));
 
 // Apply rate limiting to API routes
 app.use('/api', apiLimiter);
 
+// Boolean flags arrive as JSON booleans, "true"/"false" strings or "on" from an HTML checkbox
+const parseFlag = (value) => value === true || value === 'true' || value === 'on';
+
 // ============================================
 // AUTHENTICATION ROUTES
 // ============================================
 
-app.post('/api/auth/register', authLimiter, async (req, res, next) => {
+// Live availability check for the registration form; suggests alternatives when a name is taken
+app.post('/check-username', usernameCheckLimiter, async (req, res, next) => {
   try {
-    const { username, email, password, confirmPassword, phone, age, gender, country, bio, skills, newsletter, terms } = req.body;
+    const username = typeof req.body.username === 'string' ? req.body.username.trim() : '';
+    const result = await checkUsername(username);
     
-    if (!terms) {
-      return res.status(400).json({
+    res.json({
+      success: true,
+      username,
+      ...result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Fields echoed back to the form after a failed non-JS registration; passwords are never echoed
+const REGISTRATION_FORM_FIELDS = ['username', 'email', 'phone', 'age', 'gender', 'country', 'postalCode', 'website', 'bio', 'skills', 'newsletter'];
+
+// Shared by the JSON API and plain HTML form posts (/register)
+const register = async (req, res, next) => {
+  // Browsers without JS post urlencoded forms and expect a page back
+  const wantsHtml = !req.is('application/json') && req.accepts(['json', 'html']) === 'html';
+  
+  const { username, email, password, confirmPassword, phone, age, gender, country, postalCode, website, creditCard, bio, newsletter, terms } = req.body;
+  
+  // skills arrive as an array (API), "a, b" (plain form) or skill[] inputs (advanced form)
+  const rawSkills = req.body.skills !== undefined ? req.body.skills : req.body.skill;
+  const skills = (Array.isArray(rawSkills) ? rawSkills : String(rawSkills || '').split(','))
+    .map(skill => String(skill).trim())
+    .filter(Boolean);
+  
+  const fail = (statusCode, errors) => {
+    if (!wantsHtml) {
+      return res.status(statusCode).json({
         success: false,
-        message: 'You must accept terms and conditions'
+        message: 'Please fix the errors below',
+        errors
       });
     }
     
-    if (password !== confirmPassword) {
-      return res.status(400).json({
-        success: false,
-        message: 'Passwords do not match'
-      });
+    const values = REGISTRATION_FORM_FIELDS.reduce((kept, field) => ({ ...kept, [field]: req.body[field] }), {});
+    res.status(statusCode).render('validation-errors', {
+      title: 'Please Fix These Errors',
+      errors: Object.values(errors),
+      fieldErrors: errors,
+      values: { ...values, skills: skills.join(', '), terms: Boolean(terms) }
+    });
+  };
+  
+  try {
+    const errors = validateRegistrationFields({ username, email, password, confirmPassword, phone, age, gender, country, postalCode, website, creditCard, terms });
+    if (Object.keys(errors).length > 0) {
+      return fail(400, errors);
     }
     
-    const existingUser = await User.findOne({ $or: [{ email }, { username }] });
-    if (existingUser) {
-      return res.status(409).json({
-        success: false,
-        message: 'Username or email already exists'
+    // Raw collection lookup: soft-deleted accounts still own their email until purged
+    const [emailTaken, usernameTaken] = await Promise.all([
+      User.collection.findOne({ email: String(email).toLowerCase() }, { projection: { _id: 1 } }),
+      isUsernameTaken(username)
+    ]);
+    if (emailTaken || usernameTaken) {
+      return fail(409, {
+        ...(usernameTaken && { username: 'Username already taken' }),
+        ...(emailTaken && { email: 'An account with this email already exists' })
       });
     }
     
@@ -166,26 +244,77 @@ app.post('/api/auth/register', authLimiter, async (req, res, next) => {
       age,
       gender,
       country,
+      postalCode,
+      website,
       bio,
-      skills: Array.isArray(skills) ? skills : [],
-      newsletter: newsletter || false
+      skills,
+      newsletter: parseFlag(newsletter)
     });
     
-    // Send welcome email (background job)
+    // Send welcome email with verification link (background job)
+    const verificationUrl = buildUrl(req, `/api/auth/verify/${generateEmailVerificationToken(user)}`);
     await sendEmail({
       to: user.email,
-      subject: 'Welcome to ModernApp!',
-      body: `Hi ${user.username}, welcome to our platform!`,
+      subject: 'Welcome to ModernApp! Please verify your email',
+      body: `Hi ${user.username}, welcome to our platform! Confirm your email address here: ${verificationUrl}`,
       type: 'welcome'
     });
     
     logger.info(`New user registered: ${user.username}`);
-    sendTokenResponse(user, 201, res);
+    await audit(req, { action: 'auth.register', actor: user, target: userTarget(user) });
+    
+    if (wantsHtml) {
+      const { token, refreshToken } = await startSession(user, req);
+      return setTokenCookies(res, { token, refreshToken }).redirect('/dashboard');
+    }
+    await sendTokenResponse(user, 201, req, res);
     
   } catch (error) {
+    // Schema rules the validators don't cover (bio length etc.) are reported per field too
+    if (error.name === 'ValidationError') {
+      return fail(400, Object.fromEntries(Object.entries(error.errors).map(([field, err]) => [field, err.message])));
+    }
+    // Lost a race with a concurrent registration for the same name or address
+    if (error.code === 11000) {
+      return fail(409, error.keyPattern && error.keyPattern.username
+        ? { username: 'Username already taken' }
+        : { email: 'An account with this email already exists' });
+    }
     next(error);
   }
-});
+};
+
+app.post('/api/auth/register', authLimiter, register);
+app.post('/register', authLimiter, register);
+
+// Count a failed password or 2FA attempt and notify the owner when the account locks
+const recordFailedLogin = async (req, user, reason) => {
+  const locked = await user.registerFailedLogin();
+  
+  await audit(req, {
+    action: 'auth.login',
+    outcome: 'failure',
+    actor: null,
+    target: userTarget(user),
+    metadata: { reason, failedLoginAttempts: user.failedLoginAttempts }
+  });
+  
+  if (locked) {
+    logger.warn(`Account locked after ${user.failedLoginAttempts} failed logins: ${user.username} (last IP ${req.ip})`);
+    await audit(req, {
+      action: 'auth.lockout',
+      actor: null,
+      target: userTarget(user),
+      metadata: { failedLoginAttempts: user.failedLoginAttempts, lockUntil: user.lockUntil }
+    });
+    await sendEmail({
+      to: user.email,
+      subject: 'Your account has been temporarily locked',
+      body: `Hi ${user.username}, your account was locked until ${new Date(user.lockUntil).toUTCString()} after ${user.failedLoginAttempts} failed login attempts. If this wasn't you, reset your password: ${buildUrl(req, '/forgot-password')}`,
+      type: 'account-locked'
+    });
+  }
+};
 
 app.post('/api/auth/login', authLimiter, async (req, res, next) => {
   try {
@@ -201,6 +330,28 @@ app.post('/api/auth/login', authLimiter, async (req, res, next) => {
     const user = await User.findOne({ email }).select('+password');
     
     if (!user) {
+      await audit(req, {
+        action: 'auth.login',
+        outcome: 'failure',
+        actor: null,
+        metadata: { reason: 'unknown_email', email: String(email) }
+      });
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid credentials'
+      });
+    }
+    
+    // Answered exactly like an unknown email so lockouts don't reveal which accounts exist;
+    // the owner learns about the lock from the email sent when it happened
+    if (user.isLocked) {
+      await audit(req, {
+        action: 'auth.login',
+        outcome: 'failure',
+        actor: null,
+        target: userTarget(user),
+        metadata: { reason: 'locked' }
+      });
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
@@ -210,17 +361,30 @@ app.post('/api/auth/login', authLimiter, async (req, res, next) => {
     const isMatch = await user.comparePassword(password);
     
     if (!isMatch) {
+      await recordFailedLogin(req, user, 'invalid_password');
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
     
+    // Password is correct but a second factor is still needed
+    if (user.twoFactorEnabled) {
+      logger.info(`Two-factor challenge issued: ${user.username}`);
+      return res.json({
+        success: true,
+        twoFactorRequired: true,
+        challengeToken: await generateTwoFactorChallenge(user._id)
+      });
+    }
+    
+    user.resetLoginAttempts();
     user.lastLogin = Date.now();
     await user.save();
     
     logger.info(`User logged in: ${user.username}`);
-    sendTokenResponse(user, 200, res);
+    await audit(req, { action: 'auth.login', actor: user, target: userTarget(user), metadata: { method: 'password' } });
+    await sendTokenResponse(user, 200, req, res);
     
   } catch (error) {
     logger.error('Login error:', error);
@@ -228,268 +392,2181 @@ app.post('/api/auth/login', authLimiter, async (req, res, next) => {
   }
 });
 
+app.post('/api/auth/login/2fa', authLimiter, async (req, res, next) => {
+  try {
+    const { code, backupCode } = req.body;
+    const challengeToken = req.body.challengeToken || (req.cookies && req.cookies.twoFactorChallenge);
+    
+    let challenge;
+    try {
+      challenge = verifyTwoFactorChallenge(challengeToken);
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login session expired. Please login again.'
+      });
+    }
+    
+    const user = await User.findById(challenge.id).select('+twoFactorSecret +twoFactorBackupCodes');
+    
+    if (!user || !user.isActive || !user.twoFactorEnabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid credentials'
+      });
+    }
+    
+    if (user.isLocked) {
+      const retryAfter = Math.ceil((user.lockUntil - Date.now()) / 1000);
+      await audit(req, {
+        action: 'auth.login',
+        outcome: 'failure',
+        actor: null,
+        target: userTarget(user),
+        metadata: { reason: 'locked' }
+      });
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: `Too many failed login attempts. Try again in ${retryAfter} seconds.`,
+        retryAfter
+      });
+    }
+    
+    if (!(await twoFactor.verifySecondFactor(user, { code, backupCode }))) {
+      await recordFailedLogin(req, user, 'invalid_2fa_code');
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+    
+    // A challenge completes one login; replaying it within its 5 minutes gets nothing
+    if (!(await consumeTwoFactorChallenge(challenge))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login session expired. Please login again.'
+      });
+    }
+    
+    user.resetLoginAttempts();
+    user.lastLogin = Date.now();
+    await user.save({ validateBeforeSave: false });
+    
+    if (backupCode) {
+      logger.warn(`Backup code used: ${user.username} (${user.twoFactorBackupCodes.length} left)`);
+    }
+    
+    res.clearCookie('twoFactorChallenge', { path: '/api/auth' });
+    logger.info(`User logged in with 2FA: ${user.username}`);
+    await audit(req, {
+      action: 'auth.login',
+      actor: user,
+      target: userTarget(user),
+      metadata: { method: challenge.method, twoFactor: backupCode ? 'backup_code' : 'totp' }
+    });
+    await sendTokenResponse(user, 200, req, res, { method: challenge.method });
+    
+  } catch (error) {
+    next(error);
+  }
+});
+
 // ============================================
-// OAUTH ROUTES (Google)
+// OAUTH ROUTES (Google, GitHub)
 // ============================================
 
-app.get('/api/auth/google',
-  passport.authenticate('google', { scope: ['profile', 'email'] })
-);
+const OAUTH_SCOPES = {
+  google: ['profile', 'email'],
+  github: ['user:email']
+};
+
+// Providers without configured credentials are not registered with passport
+const oauthConfigured = (req, res, next) => {
+  if (!passport._strategy(req.params.provider)) {
+    return res.status(404).json({
+      success: false,
+      message: 'Login provider is not configured'
+    });
+  }
+  next();
+};
 
-app.get('/api/auth/google/callback',
-  passport.authenticate('google', { 
-    failureRedirect: '/login',
-    session: false 
-  }),
-  async (req, res) => {
+app.get('/api/auth/:provider(google|github)', oauthConfigured, (req, res, next) => {
+  delete req.session.linkIntent;
+  passport.authenticate(req.params.provider, { scope: OAUTH_SCOPES[req.params.provider] })(req, res, next);
+});
+
+app.get('/api/auth/:provider(google|github)/callback', oauthConfigured, (req, res, next) => {
+  const { provider } = req.params;
+  
+  passport.authenticate(provider, { session: false }, async (err, user, info) => {
     try {
-      const { generateToken } = require('./utils/jwt');
-      const token = generateToken(req.user._id);
+      if (err) {
+        throw err;
+      }
       
-      res.cookie('token', token, {
-        expires: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000),
-        httpOnly: true,
-        secure: false,
-        sameSite: 'lax'
-      });
+      const details = info || {};
+      
+      // Flow was started from the dashboard to link a provider
+      if (details.link) {
+        const error = details.error || (!user && 'auth_failed');
+        return res.redirect(error ? `/dashboard?linkError=${error}` : `/dashboard?linked=${provider}`);
+      }
+      
+      if (!user || !user.isActive) {
+        return res.redirect(`/login?error=${details.error || 'auth_failed'}`);
+      }
+      
+      // OAuth sign-in replaces the password step only; 2FA still applies
+      if (user.twoFactorEnabled) {
+        res.cookie('twoFactorChallenge', await generateTwoFactorChallenge(user._id, provider), {
+          expires: new Date(Date.now() + 5 * 60 * 1000),
+          httpOnly: true,
+          secure: process.env.NODE_ENV === 'production',
+          sameSite: 'lax',
+          path: '/api/auth'
+        });
+        return res.redirect('/login?twoFactor=required');
+      }
+      
+      const { token, refreshToken } = await startSession(user, req, { method: provider });
       
-      logger.info(`Google OAuth login: ${req.user.email}`);
+      // Lax so the cookies survive the redirect chain coming back from the provider
+      setTokenCookies(res, { token, refreshToken }, { sameSite: 'lax' });
       
-      const redirectUrl = req.user.role === 'admin' ? '/api-dashboard' : '/external-apis';
-      res.redirect(`${redirectUrl}?token=${token}`);
+      logger.info(`${provider} OAuth login: ${user.email}`);
+      await audit(req, { action: 'auth.login', actor: user, target: userTarget(user), metadata: { method: provider } });
+      
+      let redirectUrl = Role.homePath(await Role.getPermissions(user.role), '/external-apis');
+      if (user.profileIncomplete) {
+        redirectUrl = '/complete-profile';
+      }
+      
+      // Never put the bearer token in the URL; the page exchanges this code for it
+      const code = await createAuthorizationCode({ userId: String(user._id), token });
+      res.redirect(`${redirectUrl}?code=${code}`);
       
     } catch (error) {
-      logger.error('Google callback error:', error);
+      logger.error(`${provider} callback error:`, error);
       res.redirect('/login?error=auth_failed');
     }
-  }
-);
-
-app.post('/api/auth/logout', (req, res) => {
-  res.cookie('token', 'none', {
-    expires: new Date(Date.now() + 1000),
-    httpOnly: true
-  });
-  
-  res.json({
-    success: true,
-    message: 'Logged out successfully'
-  });
+  })(req, res, next);
 });
 
-app.get('/api/auth/me', protect, async (req, res) => {
-  const user = await User.findById(req.user.id);
-  
-  res.json({
-    success: true,
-    data: user
-  });
-});
+// Per-session token for form posts that start flows a cookie alone must not be able to start
+const LINK_INTENT_TTL = 10 * 60 * 1000;
 
-// ============================================
-// EXTERNAL API ROUTES (with caching)
-// ============================================
+const getCsrfToken = (req) => {
+  if (!req.session.csrfToken) {
+    req.session.csrfToken = crypto.randomBytes(32).toString('hex');
+  }
+  return req.session.csrfToken;
+};
 
-// Weather API (10 min cache)
-app.get('/api/external/weather/:city', protect, cacheMiddleware(600), externalApiLimiter, async (req, res, next) => {
-  try {
-    const weather = await ExternalApiService.getWeather(req.params.city);
-    
-    req.user.apiCallsCount += 1;
-    req.user.lastApiCall = Date.now();
-    await req.user.save();
-    
-    res.json({
-      success: true,
-      data: weather
+const verifyCsrfToken = (req, res, next) => {
+  const expected = req.session.csrfToken;
+  const provided = typeof req.body._csrf === 'string' ? req.body._csrf : '';
+  
+  if (!expected || expected.length !== provided.length ||
+      !crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(provided))) {
+    return res.status(403).json({
+      success: false,
+      message: 'Invalid or missing CSRF token'
     });
-  } catch (error) {
-    next(error);
   }
+  next();
+};
+
+// Start linking a provider to the logged-in account (form post from the dashboard)
+app.post('/api/auth/link/:provider(google|github)', protect, blockWhileImpersonating, oauthConfigured, verifyCsrfToken, (req, res, next) => {
+  req.session.linkIntent = {
+    userId: req.user.id,
+    provider: req.params.provider,
+    expiresAt: Date.now() + LINK_INTENT_TTL
+  };
+  passport.authenticate(req.params.provider, { scope: OAUTH_SCOPES[req.params.provider] })(req, res, next);
 });
 
-// News API (5 min cache)
-app.get('/api/external/news', protect, cacheMiddleware(300), externalApiLimiter, async (req, res, next) => {
+app.delete('/api/auth/link/:provider(google|github)', protect, blockWhileImpersonating, async (req, res, next) => {
   try {
-    const { country = 'us', category = 'technology' } = req.query;
-    const news = await ExternalApiService.getNews(country, category);
+    const { provider } = req.params;
+    const user = await User.findById(req.user.id).select('+password');
     
-    req.user.apiCallsCount += 1;
-    req.user.lastApiCall = Date.now();
-    await req.user.save();
+    const hasLegacyGoogle = provider === 'google' && user.googleId;
+    if (!user.getLinkedAccount(provider) && !hasLegacyGoogle) {
+      return res.status(404).json({
+        success: false,
+        message: `No ${provider} account is linked`
+      });
+    }
+    
+    // Keep at least one way to sign in
+    const otherProviders = user.linkedAccounts.filter(account => account.provider !== provider);
+    if (!user.password && otherProviders.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Set a password before unlinking your last login method'
+      });
+    }
+    
+    user.linkedAccounts = otherProviders;
+    if (provider === 'google') {
+      user.googleId = undefined;
+    }
+    await user.save({ validateBeforeSave: false });
     
+    logger.info(`Unlinked ${provider} from user: ${user.username}`);
     res.json({
       success: true,
-      data: news
+      message: `${provider} account unlinked`
     });
   } catch (error) {
-    logger.error('News route error:', error);
-    res.status(500).json({
-      success: false,
-      message: error.message || 'Failed to fetch news'
-    });
+    next(error);
   }
 });
 
-// Exchange Rates API (1 hour cache)
-app.get('/api/external/exchange/:base?', protect, cacheMiddleware(3600), externalApiLimiter, async (req, res, next) => {
+app.post('/api/auth/exchange', authLimiter, async (req, res, next) => {
   try {
-    const base = req.params.base || 'USD';
-    const rates = await ExternalApiService.getExchangeRates(base);
+    const { code } = req.body;
     
-    req.user.apiCallsCount += 1;
-    req.user.lastApiCall = Date.now();
-    await req.user.save();
+    const payload = code ? await consumeAuthorizationCode(code) : null;
+    const user = payload ? await User.findById(payload.userId) : null;
+    
+    if (!user || !user.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired authorization code'
+      });
+    }
     
     res.json({
       success: true,
-      data: rates
+      token: payload.token,
+      user: tokenUser(user)
     });
+    
   } catch (error) {
     next(error);
   }
 });
 
-// Random User API
-app.get('/api/external/randomuser', protect, externalApiLimiter, async (req, res, next) => {
+// Pages opened after the access cookie expired land here, get a fresh pair and go back
+app.get('/api/auth/resume', authLimiter, async (req, res, next) => {
   try {
-    const user = await ExternalApiService.getRandomUser();
+    // Same-origin paths only; "//host" and "/\host" would leave the site
+    const nextUrl = typeof req.query.next === 'string' && /^\/(?![/\\])/.test(req.query.next) ? req.query.next : '/dashboard';
+    const refreshToken = req.cookies && req.cookies.refreshToken;
     
-    res.json({
-      success: true,
-      data: user
-    });
+    const result = refreshToken ? await rotateRefreshToken(refreshToken).catch(() => null) : null;
+    const user = result && result.status === 'rotated' ? await User.findById(result.userId) : null;
+    
+    if (!user || !user.isActive) {
+      clearTokenCookies(res);
+      return res.redirect(`/login?next=${encodeURIComponent(nextUrl)}`);
+    }
+    
+    setTokenCookies(res, result);
+    res.redirect(nextUrl);
   } catch (error) {
     next(error);
   }
 });
 
-// Random Quote API
-app.get('/api/external/quote', protect, externalApiLimiter, async (req, res, next) => {
+app.post('/api/auth/refresh', authLimiter, async (req, res, next) => {
   try {
-    const quote = await ExternalApiService.getRandomQuote();
+    const refreshToken = (req.cookies && req.cookies.refreshToken) || req.body.refreshToken;
     
-    res.json({
+    if (!refreshToken) {
+      return res.status(401).json({
+        success: false,
+        message: 'No refresh token provided'
+      });
+    }
+    
+    let result;
+    try {
+      result = await rotateRefreshToken(refreshToken);
+    } catch (error) {
+      clearTokenCookies(res);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired refresh token'
+      });
+    }
+    
+    if (result.status === 'reused') {
+      logger.warn(`Refresh token reuse detected for user ${result.userId}, all sessions revoked`);
+    }
+    
+    const user = result.status === 'rotated' ? await User.findById(result.userId) : null;
+    
+    if (!user || !user.isActive) {
+      clearTokenCookies(res);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired refresh token'
+      });
+    }
+    
+    setTokenCookies(res, result).json({
       success: true,
-      data: quote
+      token: result.token,
+      refreshToken: result.refreshToken
     });
+    
   } catch (error) {
     next(error);
   }
 });
 
-// GitHub User API (30 min cache)
-app.get('/api/external/github/:username', protect, cacheMiddleware(1800), externalApiLimiter, async (req, res, next) => {
+app.post('/api/auth/logout', async (req, res, next) => {
   try {
-    const githubUser = await ExternalApiService.getGitHubUser(req.params.username);
+    let token;
+    if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+      token = req.headers.authorization.split(' ')[1];
+    } else if (req.cookies && req.cookies.token) {
+      token = req.cookies.token;
+    }
     
-    req.user.apiCallsCount += 1;
-    req.user.lastApiCall = Date.now();
-    await req.user.save();
+    await revokeTokens({
+      token,
+      refreshToken: (req.cookies && req.cookies.refreshToken) || req.body.refreshToken
+    });
     
-    res.json({
+    clearTokenCookies(res).json({
       success: true,
-      data: githubUser
+      message: 'Logged out successfully'
     });
   } catch (error) {
     next(error);
   }
 });
 
-// ============================================
-// CRUD ROUTES
-// ============================================
+app.get('/api/auth/me', protect, async (req, res) => {
+  const user = await User.findById(req.user.id);
+  
+  res.json({
+    success: true,
+    data: user
+  });
+});
 
-app.get('/api/users', protect, authorize('admin'), async (req, res, next) => {
+// Devices the user is currently signed in on
+app.get('/api/auth/sessions', protect, async (req, res, next) => {
   try {
-    const users = await User.find();
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: Date.now() }
+    }).sort('-lastSeenAt');
     
     res.json({
       success: true,
-      count: users.length,
-      data: users
+      count: sessions.length,
+      data: sessions.map(session => ({
+        id: session._id,
+        method: session.method,
+        ip: session.ip,
+        browser: session.browser,
+        os: session.os,
+        device: session.device,
+        createdAt: session.createdAt,
+        lastSeenAt: session.lastSeenAt,
+        current: session.family === req.sessionId
+      }))
     });
   } catch (error) {
     next(error);
   }
 });
 
-app.get('/api/users/:id', protect, async (req, res, next) => {
+// Sign out a single device
+app.delete('/api/auth/sessions/:id', protect, blockWhileImpersonating, async (req, res, next) => {
   try {
-    const user = await User.findById(req.params.id);
+    const session = await Session.findOne({ _id: req.params.id, user: req.user._id, revokedAt: null });
     
-    if (!user) {
+    if (!session) {
       return res.status(404).json({
         success: false,
-        message: 'User not found'
+        message: 'Session not found'
       });
     }
     
-    if (req.user.id !== user.id && req.user.role !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized'
-      });
+    await revokeSession(session);
+    
+    if (session.family === req.sessionId) {
+      clearTokenCookies(res);
     }
     
+    logger.info(`Session signed out: ${req.user.username} (${session.browser}, ${session.ip})`);
     res.json({
       success: true,
-      data: user
+      message: 'Device signed out'
     });
   } catch (error) {
     next(error);
   }
 });
 
-app.delete('/api/users/:id', protect, authorize('admin'), async (req, res, next) => {
+// Sign out everywhere, including this device
+app.delete('/api/auth/sessions', protect, blockWhileImpersonating, async (req, res, next) => {
   try {
-    const user = await User.findById(req.params.id);
+    await revokeAllSessions(req.user._id);
     
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: 'User not found'
-      });
+    logger.info(`All sessions signed out: ${req.user.username}`);
+    clearTokenCookies(res).json({
+      success: true,
+      message: 'Signed out of all devices'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// End impersonation and return to the admin's own session
+app.post('/api/auth/impersonation/stop', protect, async (req, res, next) => {
+  try {
+    if (!req.impersonator) {
+      return res.status(400).json({
+        success: false,
+        message: 'You are not impersonating anyone'
+      });
+    }
+    
+    await revokeAccessToken(req.impersonation);
+    
+    logger.warn(`Admin ${req.impersonator.username} stopped impersonating ${req.user.username}`);
+    await audit(req, {
+      action: 'user.impersonate_stop',
+      actor: req.impersonator,
+      target: userTarget(req.user),
+      metadata: { impersonationId: req.impersonation.jti, scheduledExpiry: new Date(req.impersonation.exp * 1000) }
+    });
+    
+    // The admin's refresh cookie is untouched, so hand back a fresh admin token
+    const result = req.cookies.refreshToken ? await rotateRefreshToken(req.cookies.refreshToken).catch(() => null) : null;
+    
+    if (result && result.status === 'rotated') {
+      setTokenCookies(res, result);
+    } else {
+      clearTokenCookies(res);
+    }
+    
+    res.json({
+      success: true,
+      token: result && result.token,
+      user: tokenUser(req.impersonator)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get('/api/auth/verify/:token', async (req, res) => {
+  try {
+    const decoded = verifyEmailVerificationToken(req.params.token);
+    const user = await User.findById(decoded.id);
+    
+    // Token is only valid for the address it was issued for
+    if (!user || user.email !== decoded.email) {
+      return res.redirect('/login?error=verification_failed');
+    }
+    
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      await user.save({ validateBeforeSave: false });
+      logger.info(`Email verified: ${user.username}`);
+    }
+    
+    res.redirect('/login?verified=true');
+    
+  } catch (error) {
+    logger.warn(`Email verification failed: ${error.message}`);
+    res.redirect('/login?error=verification_failed');
+  }
+});
+
+app.post('/api/auth/verify/resend', protect, emailLimiter, async (req, res, next) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified'
+      });
+    }
+    
+    await sendEmail({
+      to: req.user.email,
+      subject: 'Verify your email address',
+      body: `Hi ${req.user.username}, confirm your email address here: ${buildUrl(req, `/api/auth/verify/${generateEmailVerificationToken(req.user)}`)}`,
+      type: 'verify-email'
+    });
+    
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+    
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Finish an OAuth sign-up by replacing the missing profile fields
+app.post('/api/auth/complete-profile', protect, blockWhileImpersonating, async (req, res, next) => {
+  try {
+    if (!req.user.profileIncomplete) {
+      return res.status(400).json({
+        success: false,
+        message: 'Profile is already complete'
+      });
+    }
+    
+    const { username, password, confirmPassword, phone, age, gender, country, postalCode, website, bio, skills, newsletter, terms } = req.body;
+    
+    const errors = validateRegistrationForm({
+      username,
+      email: req.user.email,
+      password,
+      confirmPassword,
+      phone,
+      age,
+      gender,
+      country,
+      postalCode,
+      website,
+      terms
+    });
+    
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please fix the errors below',
+        errors
+      });
+    }
+    
+    if (String(username).toLowerCase() !== req.user.username.toLowerCase() && await isUsernameTaken(username)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Username already exists'
+      });
+    }
+    
+    Object.assign(req.user, {
+      username,
+      password,
+      phone,
+      age,
+      gender,
+      country,
+      postalCode,
+      website,
+      bio,
+      skills: Array.isArray(skills) ? skills : [],
+      newsletter: parseFlag(newsletter),
+      profileIncomplete: false
+    });
+    await req.user.save();
+    
+    logger.info(`Profile completed: ${req.user.username}`);
+    res.json({
+      success: true,
+      message: 'Profile completed',
+      redirect: Role.homePath(await Role.getPermissions(req.user.role))
+    });
+    
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.put('/api/auth/updatepassword', protect, blockWhileImpersonating, async (req, res, next) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide current and new password'
+      });
+    }
+    
+    const user = await User.findById(req.user.id).select('+password');
+    
+    const isMatch = await user.comparePassword(currentPassword);
+    
+    if (!isMatch) {
+      return res.status(401).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+    
+    if (!validators.validatePassword(newPassword)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password must be 8+ chars with uppercase, lowercase, number, and special character'
+      });
+    }
+    
+    if (validators.calculatePasswordStrength(newPassword).level === 'weak') {
+      return res.status(400).json({
+        success: false,
+        message: 'Password is too weak. Please use a stronger password'
+      });
+    }
+    
+    if (await user.comparePassword(newPassword)) {
+      return res.status(400).json({
+        success: false,
+        message: 'New password must be different from the current password'
+      });
+    }
+    
+    user.password = newPassword;
+    await user.save();
+    
+    // Sign out every other session before issuing the new token
+    await revokeAllSessions(user._id);
+    
+    await sendEmail({
+      to: user.email,
+      subject: 'Your password was changed',
+      body: `Hi ${user.username}, the password for your account was just changed. If this wasn't you, reset your password immediately.`,
+      type: 'password-changed'
+    });
+    
+    logger.info(`Password changed: ${user.username}`);
+    await audit(req, { action: 'auth.password_change', target: userTarget(user) });
+    await sendTokenResponse(user, 200, req, res);
+    
+  } catch (error) {
+    next(error);
+  }
+});
+
+// One reset email per account in this window, however many IPs ask for it
+const RESET_EMAIL_COOLDOWN = 5 * 60; // seconds
+
+app.post('/api/auth/forgotpassword', emailLimiter, async (req, res, next) => {
+  try {
+    const { email } = req.body;
+    
+    if (typeof email !== 'string' || !validators.validateEmail(email)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a valid email'
+      });
+    }
+    
+    const user = await User.findOne({ email: email.toLowerCase() });
+    const canSend = user && await redisClient.set(`password-reset:cooldown:${user._id}`, '1', 'EX', RESET_EMAIL_COOLDOWN, 'NX');
+    
+    if (canSend) {
+      const resetToken = user.getResetPasswordToken();
+      await user.save({ validateBeforeSave: false });
+      
+      try {
+        await sendEmail({
+          to: user.email,
+          subject: 'Reset your password',
+          body: `Hi ${user.username}, reset your password here (valid for 15 minutes): ${buildUrl(req, `/reset-password/${resetToken}`)}`,
+          type: 'password-reset'
+        });
+      } catch (error) {
+        user.resetPasswordToken = undefined;
+        user.resetPasswordExpire = undefined;
+        await user.save({ validateBeforeSave: false });
+        throw error;
+      }
+      
+      logger.info(`Password reset requested: ${user.username}`);
+    }
+    
+    // Same response whether or not the email is registered
+    res.json({
+      success: true,
+      message: 'If that email is registered, a reset link has been sent'
+    });
+    
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.put('/api/auth/resetpassword/:token', authLimiter, async (req, res, next) => {
+  try {
+    const { password, confirmPassword } = req.body;
+    
+    const resetPasswordToken = crypto.createHash('sha256').update(req.params.token).digest('hex');
+    
+    const user = await User.findOne({
+      resetPasswordToken,
+      resetPasswordExpire: { $gt: Date.now() }
+    });
+    
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reset link is invalid or has expired'
+      });
+    }
+    
+    if (!password || !validators.validatePassword(password)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password must be 8+ chars with uppercase, lowercase, number, and special character'
+      });
+    }
+    
+    if (validators.calculatePasswordStrength(password).level === 'weak') {
+      return res.status(400).json({
+        success: false,
+        message: 'Password is too weak. Please use a stronger password'
+      });
+    }
+    
+    if (password !== confirmPassword) {
+      return res.status(400).json({
+        success: false,
+        message: 'Passwords do not match'
+      });
+    }
+    
+    user.password = password;
+    user.resetPasswordToken = undefined;
+    user.resetPasswordExpire = undefined;
+    await user.save();
+    
+    await revokeAllSessions(user._id);
+    
+    await sendEmail({
+      to: user.email,
+      subject: 'Your password was changed',
+      body: `Hi ${user.username}, your password was reset. If this wasn't you, contact support immediately.`,
+      type: 'password-changed'
+    });
+    
+    logger.info(`Password reset completed: ${user.username}`);
+    await audit(req, { action: 'auth.password_reset', actor: user, target: userTarget(user) });
+
+    // No tokens here: a reset link only proves access to the mailbox, so the user signs in
+    // again and passes two-factor authentication if it is enabled
+    res.status(200).json({
+      success: true,
+      message: 'Password reset successful. Please log in with your new password',
+      redirect: '/login'
+    });
+    
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ============================================
+// TWO-FACTOR AUTHENTICATION ROUTES
+// ============================================
+
+app.post('/api/auth/2fa/setup', protect, blockWhileImpersonating, async (req, res, next) => {
+  try {
+    if (req.user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+    
+    // Secret stays pending until confirmed with a valid code
+    const secret = twoFactor.generateSecret();
+    req.user.twoFactorSecret = secret;
+    await req.user.save({ validateBeforeSave: false });
+    
+    res.json({
+      success: true,
+      data: await twoFactor.buildEnrollment(req.user, secret)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.post('/api/auth/2fa/enable', protect, blockWhileImpersonating, async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id).select('+twoFactorSecret');
+    
+    if (user.twoFactorEnabled || !user.twoFactorSecret) {
+      return res.status(400).json({
+        success: false,
+        message: user.twoFactorEnabled ? 'Two-factor authentication is already enabled' : 'Start two-factor setup first'
+      });
+    }
+    
+    if (!(await twoFactor.verifyTotp(user.id, user.twoFactorSecret, req.body.code))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+    
+    const { codes, hashes } = twoFactor.generateBackupCodes();
+    user.twoFactorEnabled = true;
+    user.twoFactorBackupCodes = hashes;
+    await user.save({ validateBeforeSave: false });
+    
+    logger.info(`Two-factor authentication enabled: ${user.username}`);
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your backup codes somewhere safe.',
+      backupCodes: codes
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.post('/api/auth/2fa/disable', protect, blockWhileImpersonating, async (req, res, next) => {
+  try {
+    const { password, code, backupCode } = req.body;
+    
+    if (twoFactor.isTwoFactorRequired(await Role.getPermissions(req.user.role))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is mandatory for staff accounts'
+      });
+    }
+    
+    const user = await User.findById(req.user.id).select('+password +twoFactorSecret +twoFactorBackupCodes');
+    
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+    
+    if (!password || !(await user.comparePassword(password))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+    
+    if (!(await twoFactor.verifySecondFactor(user, { code, backupCode }))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+    
+    user.twoFactorEnabled = false;
+    user.twoFactorSecret = undefined;
+    user.twoFactorBackupCodes = undefined;
+    await user.save({ validateBeforeSave: false });
+    
+    await sendEmail({
+      to: user.email,
+      subject: 'Two-factor authentication disabled',
+      body: `Hi ${user.username}, two-factor authentication was turned off for your account. If this wasn't you, reset your password immediately.`,
+      type: '2fa-disabled'
+    });
+    
+    logger.info(`Two-factor authentication disabled: ${user.username}`);
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.post('/api/auth/2fa/backup-codes', protect, blockWhileImpersonating, async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id).select('+twoFactorSecret');
+    
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+    
+    if (!(await twoFactor.verifyTotp(user.id, user.twoFactorSecret, req.body.code))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+    
+    const { codes, hashes } = twoFactor.generateBackupCodes();
+    user.twoFactorBackupCodes = hashes;
+    await user.save({ validateBeforeSave: false });
+    
+    logger.info(`Backup codes regenerated: ${user.username}`);
+    res.json({
+      success: true,
+      backupCodes: codes
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ============================================
+// API KEY ROUTES
+// ============================================
+
+const MAX_API_KEYS = 10;
+
+// List the current user's keys (plaintext values are never returned again)
+app.get('/api/keys', protect, async (req, res, next) => {
+  try {
+    const keys = await ApiKey.find({ user: req.user._id, revokedAt: null }).sort('-createdAt');
+    const isStaff = (await Role.getPermissions(req.user.role)).length > 0;
+    
+    res.json({
+      success: true,
+      count: keys.length,
+      data: keys,
+      scopes: ApiKey.API_KEY_SCOPES.filter(scope => {
+        return isStaff || !ApiKey.ADMIN_SCOPES.includes(scope);
+      })
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create a named key with a set of scopes
+app.post('/api/keys', protect, blockWhileImpersonating, async (req, res, next) => {
+  try {
+    const { name, scopes, expiresInDays } = req.body;
+    
+    if (!name || !Array.isArray(scopes) || scopes.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a key name and at least one scope'
+      });
+    }
+    
+    const unknown = scopes.filter(scope => !ApiKey.API_KEY_SCOPES.includes(scope));
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown scopes: ${unknown.join(', ')}`
+      });
+    }
+    
+    const isStaff = (await Role.getPermissions(req.user.role)).length > 0;
+    if (!isStaff && scopes.some(scope => ApiKey.ADMIN_SCOPES.includes(scope))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only staff accounts can create keys with admin scopes'
+      });
+    }
+    
+    const activeKeys = await ApiKey.countDocuments({ user: req.user._id, revokedAt: null });
+    if (activeKeys >= MAX_API_KEYS) {
+      return res.status(400).json({
+        success: false,
+        message: `You can have at most ${MAX_API_KEYS} active API keys`
+      });
+    }
+    
+    const days = parseInt(expiresInDays, 10);
+    const { apiKey, key } = await ApiKey.generate({
+      user: req.user._id,
+      name,
+      scopes: [...new Set(scopes)],
+      expiresAt: days > 0 ? Date.now() + days * 24 * 60 * 60 * 1000 : undefined
+    });
+    
+    logger.info(`API key ${apiKey.prefix} created by ${req.user.username}`);
+    res.status(201).json({
+      success: true,
+      message: 'API key created. Copy it now, it will not be shown again.',
+      key,
+      data: apiKey
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Revoke one of the current user's keys
+app.delete('/api/keys/:id', protect, blockWhileImpersonating, async (req, res, next) => {
+  try {
+    const apiKey = await ApiKey.findOne({ _id: req.params.id, user: req.user._id, revokedAt: null });
+    
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+    
+    apiKey.revokedAt = Date.now();
+    await apiKey.save();
+    
+    logger.info(`API key ${apiKey.prefix} revoked by ${req.user.username}`);
+    res.json({
+      success: true,
+      message: 'API key revoked'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ============================================
+// EXTERNAL API ROUTES (with caching)
+// ============================================
+
+// Weather API (10 min cache)
+app.get('/api/external/weather/:city', allowApiKey('external:read'), protectVerified, cacheMiddleware(600), externalApiLimiter, async (req, res, next) => {
+  try {
+    const weather = await ExternalApiService.getWeather(req.params.city);
+    
+    await recordApiCall(req);
+    
+    res.json({
+      success: true,
+      data: weather
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// News API (5 min cache)
+app.get('/api/external/news', allowApiKey('external:read'), protectVerified, cacheMiddleware(300), externalApiLimiter, async (req, res, next) => {
+  try {
+    const { country = 'us', category = 'technology' } = req.query;
+    const news = await ExternalApiService.getNews(country, category);
+    
+    await recordApiCall(req);
+    
+    res.json({
+      success: true,
+      data: news
+    });
+  } catch (error) {
+    logger.error('News route error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to fetch news'
+    });
+  }
+});
+
+// Exchange Rates API (1 hour cache)
+app.get('/api/external/exchange/:base?', allowApiKey('external:read'), protectVerified, cacheMiddleware(3600), externalApiLimiter, async (req, res, next) => {
+  try {
+    const base = req.params.base || 'USD';
+    const rates = await ExternalApiService.getExchangeRates(base);
+    
+    await recordApiCall(req);
+    
+    res.json({
+      success: true,
+      data: rates
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Random User API
+app.get('/api/external/randomuser', allowApiKey('external:read'), protectVerified, externalApiLimiter, async (req, res, next) => {
+  try {
+    const user = await ExternalApiService.getRandomUser();
+    
+    res.json({
+      success: true,
+      data: user
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Random Quote API
+app.get('/api/external/quote', allowApiKey('external:read'), protectVerified, externalApiLimiter, async (req, res, next) => {
+  try {
+    const quote = await ExternalApiService.getRandomQuote();
+    
+    res.json({
+      success: true,
+      data: quote
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GitHub User API (30 min cache)
+app.get('/api/external/github/:username', allowApiKey('external:read'), protectVerified, cacheMiddleware(1800), externalApiLimiter, async (req, res, next) => {
+  try {
+    const githubUser = await ExternalApiService.getGitHubUser(req.params.username);
+    
+    await recordApiCall(req);
+    
+    res.json({
+      success: true,
+      data: githubUser
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ============================================
+// ACCOUNT ROUTES (current user)
+// ============================================
+
+// Fields users may change on their own profile; everything else needs an admin
+const SELF_EDITABLE_FIELDS = ['bio', 'skills', 'website', 'country', 'postalCode', 'newsletter'];
+
+app.patch('/api/users/me', protect, blockWhileImpersonating, async (req, res, next) => {
+  try {
+    const rejected = Object.keys(req.body).filter(field => !SELF_EDITABLE_FIELDS.includes(field));
+    if (rejected.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: `These fields cannot be changed here: ${rejected.join(', ')}`,
+        errors: rejected.reduce((errors, field) => ({ ...errors, [field]: 'This field cannot be changed' }), {})
+      });
+    }
+    
+    const updates = {};
+    SELF_EDITABLE_FIELDS
+      .filter(field => req.body[field] !== undefined)
+      .forEach(field => { updates[field] = req.body[field]; });
+    
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Nothing to update. Editable fields: ${SELF_EDITABLE_FIELDS.join(', ')}`
+      });
+    }
+    
+    // The form sends skills as "a, b, c"; the API also takes an array
+    if (typeof updates.skills === 'string') {
+      updates.skills = updates.skills.split(',').map(skill => skill.trim()).filter(Boolean);
+    }
+    
+    const errors = validateProfileUpdate(updates, req.user);
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please fix the errors below',
+        errors
+      });
+    }
+    
+    if (updates.newsletter !== undefined) updates.newsletter = parseFlag(updates.newsletter);
+    if (updates.skills) updates.skills = updates.skills.map(skill => skill.trim());
+    
+    req.user.set(updates);
+    await req.user.save({ validateModifiedOnly: true });
+    
+    logger.info(`Profile updated: ${req.user.username} (${Object.keys(updates).join(', ')})`);
+    await audit(req, { action: 'user.profile_update', target: userTarget(req.user), metadata: { fields: Object.keys(updates) } });
+    res.json({
+      success: true,
+      message: 'Profile updated',
+      data: req.user
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Avatars are processed in memory; only the re-encoded thumbnails are stored
+const avatarUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: avatar.AVATAR_MAX_BYTES, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!avatar.AVATAR_MIME_TYPES.includes(file.mimetype)) {
+      return cb(new ErrorResponse('Avatar must be a JPEG, PNG, WebP or GIF image', 400));
+    }
+    cb(null, true);
+  }
+});
+
+// Upload or replace your avatar (multipart field "avatar")
+app.put('/api/users/me/avatar', protect, blockWhileImpersonating, avatarUpload.single('avatar'), async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Choose an image to upload'
+      });
+    }
+    
+    const previousId = req.user.avatarId;
+    const avatarId = await avatar.saveAvatar(req.user._id, req.file);
+    
+    req.user.set({ avatarId, avatar: avatar.avatarUrl(req.user._id, avatarId) });
+    await req.user.save({ validateModifiedOnly: true });
+    
+    // Only drop the old files once the new avatar is saved
+    await avatar.removeAvatar(req.user._id, previousId);
+    
+    logger.info(`Avatar updated: ${req.user.username}`);
+    await audit(req, { action: 'user.avatar_update', target: userTarget(req.user) });
+    res.json({
+      success: true,
+      message: 'Avatar updated',
+      data: {
+        avatar: req.user.avatar,
+        sizes: avatar.AVATAR_SIZES.reduce((urls, size) => ({ ...urls, [size]: avatar.avatarUrl(req.user._id, avatarId, size) }), {})
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.delete('/api/users/me/avatar', protect, blockWhileImpersonating, async (req, res, next) => {
+  try {
+    await avatar.removeAvatar(req.user._id, req.user.avatarId);
+    
+    req.user.set({ avatarId: undefined, avatar: undefined });
+    await req.user.save({ validateModifiedOnly: true });
+    
+    await audit(req, { action: 'user.avatar_remove', target: userTarget(req.user) });
+    res.json({
+      success: true,
+      message: 'Avatar removed'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Avatar thumbnails; each upload gets a new id, so responses never change and can be cached for a year
+app.get('/avatars/:userId([a-f0-9]{24})/:avatarId([a-f0-9]{16})-:size(64|128|256).webp', async (req, res, next) => {
+  try {
+    const { userId, avatarId, size } = req.params;
+    const etag = `"${avatarId}-${size}"`;
+    
+    // Only the current avatar of a live account; soft-deleted users are hidden by the model
+    if (!(await User.exists({ _id: userId, avatarId }))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Avatar not found'
+      });
+    }
+    
+    res.set({
+      'Cache-Control': 'public, max-age=31536000, immutable',
+      'ETag': etag
+    });
+    
+    if (req.get('If-None-Match') === etag) {
+      return res.status(304).end();
+    }
+    
+    const stream = await avatar.readAvatar(userId, avatarId, size);
+    if (!stream) {
+      res.set('Cache-Control', 'no-store');
+      return res.status(404).json({
+        success: false,
+        message: 'Avatar not found'
+      });
+    }
+    
+    res.type('image/webp');
+    stream.on('error', next);
+    stream.pipe(res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Request a copy of your data; the archive is built in the background and the link emailed
+app.post('/api/users/me/export', protect, blockWhileImpersonating, emailLimiter, async (req, res, next) => {
+  try {
+    await queueUserExport(req.user._id, buildUrl(req, '/api/users/me/export'));
+    
+    await audit(req, { action: 'user.export_requested', target: userTarget(req.user) });
+    res.status(202).json({
+      success: true,
+      message: `We're preparing your data. A download link valid for ${dataExport.EXPORT_TTL_HOURS} hours will be emailed to you.`
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Download a finished export; only its owner can fetch it. Opened from an email, so an expired
+// session is renewed or sent through login and back here
+app.get('/api/users/me/export/:id', protectPage, blockWhileImpersonating, async (req, res, next) => {
+  try {
+    const exportInfo = await dataExport.findExport(req.params.id, req.user._id);
+    
+    if (!exportInfo) {
+      return res.status(404).json({
+        success: false,
+        message: 'Export not found or expired. Please request a new one.'
+      });
+    }
+    
+    await audit(req, { action: 'user.export_downloaded', target: userTarget(req.user) });
+    res.download(exportInfo.file, `${req.user.username}-data-${new Date().toISOString().slice(0, 10)}.zip`);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ============================================
+// CRUD ROUTES
+// ============================================
+
+// RFC 8288 Link header; each link is the current query with some parameters overridden
+const buildLinkHeader = (req, links) => {
+  return Object.entries(links)
+    .filter(([, params]) => params)
+    .map(([rel, params]) => {
+      const query = new URLSearchParams({ ...req.query, ...params });
+      return `<${buildUrl(req, `${req.path}?${query}`)}>; rel="${rel}"`;
+    })
+    .join(', ');
+};
+
+// Paginated user list: ?page=&limit= or ?after=<cursor>, filters, sort and fields
+app.get('/api/users', allowApiKey('users:read'), protect, requirePermission('users.read'), async (req, res, next) => {
+  try {
+    const filter = userQuery.buildUserFilter(req.query);
+    const order = userQuery.parseSort(req.query.sort);
+    const fields = userQuery.parseFields(req.query.fields);
+    const { limit, page, after } = userQuery.parsePagination(req.query);
+    
+    let query = User.find(after ? { ...filter, ...userQuery.buildCursorFilter(after, order) } : filter)
+      .sort(order)
+      .limit(limit + 1);
+    
+    if (!after) {
+      query = query.skip((page - 1) * limit);
+    }
+    
+    // Sort fields are always selected so the next cursor can be built
+    if (fields) {
+      query = query.select([...new Set([...fields, ...order.map(([field]) => field)])].join(' '));
+    }
+    
+    const [users, total] = await Promise.all([query, User.countDocuments(filter)]);
+    
+    const hasNextPage = users.length > limit;
+    const data = users.slice(0, limit);
+    const nextCursor = hasNextPage ? userQuery.encodeCursor(data[data.length - 1], order) : null;
+    const lastPage = Math.max(Math.ceil(total / limit), 1);
+    
+    const links = after
+      ? { next: nextCursor && { after: nextCursor } }
+      : {
+        first: { page: 1 },
+        prev: page > 1 && { page: page - 1 },
+        next: hasNextPage && { page: page + 1 },
+        last: { page: lastPage }
+      };
+    
+    const linkHeader = buildLinkHeader(req, links);
+    if (linkHeader) {
+      res.set('Link', linkHeader);
+    }
+    
+    res.json({
+      success: true,
+      count: data.length,
+      total,
+      limit,
+      page: after ? undefined : page,
+      pages: lastPage,
+      hasNextPage,
+      nextCursor,
+      data: fields
+        ? data.map(user => fields.reduce((picked, field) => ({ ...picked, [field]: user.get(field) }), { _id: user._id }))
+        : data
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Download the user list as CSV, NDJSON or XLSX; same filters and sort as the list, fields picks columns
+app.get('/api/users/export', allowApiKey('users:read'), protect, requirePermission('users.read'), async (req, res, next) => {
+  try {
+    const format = userExport.parseFormat(req.query.format);
+    const filter = userQuery.buildUserFilter(req.query);
+    const order = userQuery.parseSort(req.query.sort);
+    const columns = userQuery.parseFields(req.query.fields) || userExport.DEFAULT_COLUMNS;
+    
+    const cursor = User.find(filter)
+      .sort(order)
+      .select(columns.join(' '))
+      .lean()
+      .cursor();
+    
+    const { contentType, extension } = userExport.EXPORT_FORMATS[format];
+    res.set({
+      'Content-Type': contentType,
+      'Content-Disposition': `attachment; filename="users-${new Date().toISOString().slice(0, 10)}.${extension}"`,
+      'Cache-Control': 'no-store'
+    });
+    
+    await audit(req, { action: 'user.bulk_export', metadata: { format, columns, filter: req.query } });
+    await userExport.streamUsers(cursor, res, { format, columns });
+  } catch (error) {
+    if (res.headersSent) {
+      logger.error('User export error:', error);
+      return res.end();
+    }
+    next(error);
+  }
+});
+
+// Create a user from the admin dashboard; same rules as self-registration
+app.post('/api/users', allowApiKey('users:admin'), protect, requirePermission('users.create'), async (req, res, next) => {
+  try {
+    const { username, email, password, confirmPassword, phone, age, gender, country, postalCode, website, bio, skills, newsletter, terms, role } = req.body;
+    
+    const errors = validateRegistrationForm({
+      username,
+      email,
+      password,
+      confirmPassword,
+      phone,
+      age,
+      gender,
+      country,
+      postalCode,
+      website,
+      terms
+    });
+    
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please fix the errors below',
+        errors
+      });
+    }
+    
+    if (role && role !== 'user') {
+      if (!req.permissions.includes('roles.manage')) {
+        return res.status(403).json({
+          success: false,
+          message: 'Missing permission: roles.manage'
+        });
+      }
+      
+      if (!(await Role.exists({ name: String(role).toLowerCase() }))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Role not found'
+        });
+      }
+    }
+    
+    const existingUser = await User.findOne({ email: String(email).toLowerCase() });
+    if (existingUser || await isUsernameTaken(username)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Username or email already exists'
+      });
+    }
+    
+    const user = await User.create({
+      username,
+      email,
+      password,
+      phone,
+      age,
+      gender,
+      country,
+      postalCode,
+      website,
+      bio,
+      skills: Array.isArray(skills) ? skills : [],
+      newsletter: parseFlag(newsletter),
+      role: role || 'user'
+    });
+    
+    const verificationUrl = buildUrl(req, `/api/auth/verify/${generateEmailVerificationToken(user)}`);
+    await sendEmail({
+      to: user.email,
+      subject: 'An account was created for you on ModernApp',
+      body: `Hi ${user.username}, an administrator created an account for you. Confirm your email address here: ${verificationUrl}`,
+      type: 'welcome'
+    });
+    
+    logger.info(`Admin ${req.user.username} created user: ${user.username}`);
+    await audit(req, { action: 'user.create', target: userTarget(user), metadata: { role: user.role } });
+    
+    res.status(201).json({
+      success: true,
+      data: user
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Match username, email, country or skills (case-insensitive)
+app.get('/api/users/search/:query', allowApiKey('users:read'), protect, requirePermission('users.read'), async (req, res, next) => {
+  try {
+    const pattern = new RegExp(req.params.query.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    
+    const users = await User.find({
+      $or: [
+        { username: pattern },
+        { email: pattern },
+        { country: pattern },
+        { skills: pattern }
+      ]
+    }).limit(50);
+    
+    res.json({
+      success: true,
+      count: users.length,
+      data: users
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get('/api/users/:id', allowApiKey('users:read'), protect, async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id);
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    const permissions = await Role.getPermissions(req.user.role);
+    if (req.user.id !== user.id && !permissions.includes('users.read')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: user
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Fields an admin may change through PATCH /api/users/:id
+const ADMIN_EDITABLE_FIELDS = ['bio', 'website', 'newsletter', 'role', 'isActive'];
+
+app.patch('/api/users/:id', allowApiKey('users:admin'), protect, requirePermission('users.update'), async (req, res, next) => {
+  try {
+    const updates = {};
+    ADMIN_EDITABLE_FIELDS
+      .filter(field => req.body[field] !== undefined)
+      .forEach(field => { updates[field] = req.body[field]; });
+    
+    const rejected = Object.keys(req.body).filter(field => !ADMIN_EDITABLE_FIELDS.includes(field));
+    if (rejected.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `These fields cannot be changed here: ${rejected.join(', ')}`
+      });
+    }
+    
+    if (updates.website && !validators.validateURL(updates.website)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid website URL'
+      });
+    }
+    
+    const user = await User.findById(req.params.id);
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    // Staff accounts can only be edited by someone who manages roles
+    const targetIsStaff = (await Role.getPermissions(user.role)).length > 0;
+    if (targetIsStaff && !req.permissions.includes('roles.manage')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Missing permission: roles.manage'
+      });
+    }
+    
+    // Normalize before comparing: "false" from a form is a truthy string
+    if (updates.newsletter !== undefined) updates.newsletter = parseFlag(updates.newsletter);
+    if (updates.isActive !== undefined) updates.isActive = parseFlag(updates.isActive);
+    if (updates.role !== undefined) updates.role = String(updates.role).toLowerCase();
+    
+    const roleChanged = updates.role !== undefined && updates.role !== user.role;
+    const deactivated = updates.isActive === false && user.isActive;
+    
+    if ((roleChanged || deactivated) && user.id === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own role or deactivate yourself'
+      });
+    }
+    
+    if (roleChanged) {
+      if (!req.permissions.includes('roles.manage')) {
+        return res.status(403).json({
+          success: false,
+          message: 'Missing permission: roles.manage'
+        });
+      }
+      
+      if (!(await Role.exists({ name: updates.role }))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Role not found'
+        });
+      }
+    }
+    
+    const previous = { role: user.role, isActive: user.isActive };
+    
+    user.set(updates);
+    await user.save({ validateModifiedOnly: true });
+    
+    // A deactivated account loses every session straight away
+    if (deactivated) {
+      await revokeAllSessions(user._id);
+    }
+    
+    logger.info(`Admin ${req.user.username} updated user ${user.username}: ${Object.keys(updates).join(', ')}`);
+    await audit(req, { action: 'user.update', target: userTarget(user), metadata: { fields: Object.keys(updates) } });
+    
+    if (roleChanged) {
+      await audit(req, {
+        action: 'user.role_change',
+        target: userTarget(user),
+        metadata: { from: previous.role, to: user.role }
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: user
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.delete('/api/users/:id', allowApiKey('users:admin'), protect, requirePermission('users.delete'), async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id);
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    if (user.id === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot delete your own account here'
+      });
+    }
+    
+    // Staff accounts can only be removed by someone who manages roles
+    if ((await Role.getPermissions(user.role)).length > 0 && !req.permissions.includes('roles.manage')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Missing permission: roles.manage'
+      });
+    }
+    
+    // Soft delete; the cleanup job purges the account after the retention window
+    await user.softDelete();
+    await revokeAllSessions(user._id);
+    
+    const purgeAfter = new Date(user.deletedAt.getTime() + USER_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+    
+    logger.info(`Admin ${req.user.username} deleted user: ${user.username}`);
+    await audit(req, { action: 'user.delete', target: userTarget(user), metadata: { email: user.email, purgeAfter } });
+    res.json({
+      success: true,
+      message: 'User deleted successfully',
+      purgeAfter
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Headline numbers for the admin dashboard
+app.get('/api/stats', allowApiKey('users:read'), protect, requirePermission('users.read'), async (req, res, next) => {
+  try {
+    const [stats] = await User.aggregate([
+      {
+        $group: {
+          _id: null,
+          totalUsers: { $sum: 1 },
+          activeUsers: { $sum: { $cond: ['$isActive', 1, 0] } },
+          averageAge: { $avg: '$age' },
+          newsletterSubscribers: { $sum: { $cond: ['$newsletter', 1, 0] } }
+        }
+      }
+    ]);
+    
+    res.json({
+      success: true,
+      data: {
+        totalUsers: stats ? stats.totalUsers : 0,
+        activeUsers: stats ? stats.activeUsers : 0,
+        averageAge: stats && stats.averageAge ? Math.round(stats.averageAge * 10) / 10 : 0,
+        newsletterSubscribers: stats ? stats.newsletterSubscribers : 0
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ============================================
+// ADMIN ROUTES
+// ============================================
+
+// Clear cache endpoint (admin only)
+app.delete('/api/admin/cache/:pattern?', allowApiKey('users:admin'), protect, requirePermission('cache.clear'), async (req, res) => {
+  try {
+    const pattern = req.params.pattern || '*';
+    const count = await clearCache(pattern);
+    
+    logger.info(`Admin cleared ${count} cache entries`);
+    await audit(req, { action: 'cache.clear', target: { type: 'cache', id: pattern }, metadata: { count } });
+    res.json({
+      success: true,
+      message: `Cleared ${count} cache entries`,
+      pattern
+    });
+  } catch (error) {
+    logger.error('Cache clear error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to clear cache'
+    });
+  }
+});
+
+// Bring back a soft-deleted account before it is purged
+app.post('/api/admin/users/:id/restore', allowApiKey('users:admin'), protect, requirePermission('users.delete'), async (req, res, next) => {
+  try {
+    const user = await User.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Deleted user not found'
+      });
+    }
+    
+    // Same rule as deleting: staff accounts are handled by someone who manages roles
+    if ((await Role.getPermissions(user.role)).length > 0 && !req.permissions.includes('roles.manage')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Missing permission: roles.manage'
+      });
+    }
+    
+    await user.restore();
+    
+    logger.info(`Admin ${req.user.username} restored user: ${user.username}`);
+    await audit(req, { action: 'user.restore', target: userTarget(user) });
+    res.json({
+      success: true,
+      message: `Account ${user.username} restored`,
+      data: user
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Unlock an account locked by failed logins (admin only)
+app.post('/api/admin/users/:id/unlock', allowApiKey('users:admin'), protect, requirePermission('users.update'), async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id);
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
     }
     
-    await user.deleteOne();
+    user.resetLoginAttempts();
+    await user.save({ validateBeforeSave: false });
     
+    logger.info(`Admin ${req.user.username} unlocked account: ${user.username}`);
+    await audit(req, { action: 'user.unlock', target: userTarget(user) });
     res.json({
       success: true,
-      message: 'User deleted successfully'
+      message: `Account ${user.username} unlocked`
     });
   } catch (error) {
     next(error);
   }
 });
 
-// ============================================
-// ADMIN ROUTES
-// ============================================
+// Import files are parsed in memory and never written to disk
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 2 * 1024 * 1024, files: 1 }
+});
 
-// Clear cache endpoint (admin only)
-app.delete('/api/admin/cache/:pattern?', protect, authorize('admin'), async (req, res) => {
+// Bulk import from a CSV or JSON file (or a JSON body with a users array)
+// dryRun=true only validates; otherwise valid files are created by a background job
+app.post('/api/admin/users/import', protect, requirePermission('users.create'), importUpload.single('file'), async (req, res, next) => {
   try {
-    const pattern = req.params.pattern || '*';
-    const count = await clearCache(pattern);
+    const dryRun = ['true', true].includes(req.body.dryRun);
+    const sendInvitations = ['true', true].includes(req.body.sendInvitations);
+    
+    let rawRows;
+    if (req.file) {
+      rawRows = userImport.parseImportFile(req.file);
+    } else if (Array.isArray(req.body.users) && req.body.users.length > 0) {
+      if (req.body.users.length > userImport.MAX_ROWS) {
+        return res.status(400).json({
+          success: false,
+          message: `A single import is limited to ${userImport.MAX_ROWS} users`
+        });
+      }
+      rawRows = req.body.users;
+    } else {
+      return res.status(400).json({
+        success: false,
+        message: 'Upload a CSV or JSON file, or send a users array'
+      });
+    }
+    
+    const { rows, errors } = await userImport.validateRows(rawRows, { sendInvitations });
+    const summary = { total: rows.length, valid: rows.length - errors.length, invalid: errors.length };
+    
+    if (dryRun) {
+      return res.json({
+        success: true,
+        message: errors.length > 0 ? `${errors.length} of ${rows.length} rows have errors` : `All ${rows.length} rows are valid`,
+        dryRun: true,
+        data: { ...summary, errors }
+      });
+    }
+    
+    // Imports are all-or-nothing at validation time so a partial file is never half-applied
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `${errors.length} of ${rows.length} rows have errors; nothing was imported`,
+        data: { ...summary, errors }
+      });
+    }
+    
+    const importId = await queueUserImport({
+      rows,
+      sendInvitations,
+      invitationBaseUrl: buildUrl(req, '/reset-password'),
+      importedBy: req.user.username
+    });
+    
+    logger.info(`Admin ${req.user.username} queued import of ${rows.length} users`);
+    await audit(req, {
+      action: 'user.import',
+      metadata: { importId, total: rows.length, sendInvitations, source: req.file ? req.file.originalname : 'json' }
+    });
+    res.status(202).json({
+      success: true,
+      message: `Importing ${rows.length} users`,
+      data: { importId, total: rows.length, statusUrl: `/api/admin/users/import/${importId}` }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Poll the progress of a bulk import
+app.get('/api/admin/users/import/:id', protect, requirePermission('users.create'), async (req, res, next) => {
+  try {
+    const progress = await userImport.getProgress(req.params.id);
+    
+    if (!progress) {
+      return res.status(404).json({
+        success: false,
+        message: 'Import not found or expired'
+      });
+    }
     
-    logger.info(`Admin cleared ${count} cache entries`);
     res.json({
       success: true,
-      message: `Cleared ${count} cache entries`,
-      pattern
+      data: progress
     });
   } catch (error) {
-    logger.error('Cache clear error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to clear cache'
+    next(error);
+  }
+});
+
+// Act as a user to see what they see; issues a short-lived token that cannot be refreshed
+app.post('/api/admin/users/:id/impersonate', protect, blockWhileImpersonating, requirePermission('users.impersonate'), async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id);
+    
+    if (!user || !user.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    if (user.id === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot impersonate yourself'
+      });
+    }
+    
+    // Staff accounts are off limits so impersonation never grants extra permissions
+    if ((await Role.getPermissions(user.role)).length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'Users with administrative permissions cannot be impersonated'
+      });
+    }
+    
+    // Tied to the admin's session so signing out there ends the impersonation too
+    if (!req.sessionId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Please sign in again to impersonate users'
+      });
+    }
+    
+    const token = generateImpersonationToken(req.user._id, user._id, req.sessionId);
+    const { jti, exp } = jwt.decode(token);
+    const expiresAt = new Date(exp * 1000);
+    
+    res.cookie('token', token, {
+      expires: expiresAt,
+      httpOnly: true,
+      secure: process.env.NODE_ENV === 'production',
+      sameSite: 'strict'
+    });
+    
+    logger.warn(`Admin ${req.user.username} started impersonating ${user.username}`);
+    // The token id pairs this event with its stop event; without one the session ended at expiresAt
+    await audit(req, {
+      action: 'user.impersonate_start',
+      target: userTarget(user),
+      metadata: { impersonationId: jti, expiresAt }
+    });
+    
+    res.json({
+      success: true,
+      token,
+      expiresAt,
+      user: tokenUser(user)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// List roles and the permissions that can be granted
+app.get('/api/admin/roles', protect, requirePermission('roles.manage'), async (req, res, next) => {
+  try {
+    const roles = await Role.find().sort('name');
+    
+    res.json({
+      success: true,
+      count: roles.length,
+      data: roles,
+      permissions: Role.PERMISSIONS
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create a role with a set of permissions
+app.post('/api/admin/roles', protect, requirePermission('roles.manage'), async (req, res, next) => {
+  try {
+    const { name, description, permissions = [] } = req.body;
+    
+    if (await Role.exists({ name: String(name || '').toLowerCase() })) {
+      return res.status(400).json({
+        success: false,
+        message: 'A role with that name already exists'
+      });
+    }
+    
+    const role = await Role.create({ name, description, permissions });
+    
+    logger.info(`Admin ${req.user.username} created role: ${role.name}`);
+    await audit(req, {
+      action: 'role.create',
+      target: { type: 'role', id: role.name },
+      metadata: { permissions: role.permissions }
+    });
+    res.status(201).json({
+      success: true,
+      data: role
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Change a role's description or permissions
+app.put('/api/admin/roles/:name', protect, requirePermission('roles.manage'), async (req, res, next) => {
+  try {
+    const role = await Role.findOne({ name: req.params.name.toLowerCase() });
+    
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+    
+    if (role.name === 'admin') {
+      return res.status(400).json({
+        success: false,
+        message: 'The admin role always has every permission'
+      });
+    }
+    
+    const { description, permissions } = req.body;
+    const previousPermissions = [...role.permissions];
+    if (description !== undefined) role.description = description;
+    if (permissions !== undefined) role.permissions = permissions;
+    await role.save();
+    
+    logger.info(`Admin ${req.user.username} updated role: ${role.name}`);
+    await audit(req, {
+      action: 'role.update',
+      target: { type: 'role', id: role.name },
+      metadata: { from: previousPermissions, to: role.permissions }
+    });
+    res.json({
+      success: true,
+      data: role
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete a custom role that nobody holds
+app.delete('/api/admin/roles/:name', protect, requirePermission('roles.manage'), async (req, res, next) => {
+  try {
+    const role = await Role.findOne({ name: req.params.name.toLowerCase() });
+    
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+    
+    if (role.isSystem) {
+      return res.status(400).json({
+        success: false,
+        message: 'Built-in roles cannot be deleted'
+      });
+    }
+    
+    const holders = await User.countDocuments({ role: role.name });
+    if (holders > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Role is assigned to ${holders} user(s). Reassign them first.`
+      });
+    }
+    
+    await role.deleteOne();
+    
+    logger.info(`Admin ${req.user.username} deleted role: ${role.name}`);
+    await audit(req, { action: 'role.delete', target: { type: 'role', id: role.name } });
+    res.json({
+      success: true,
+      message: 'Role deleted'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Assign a role to a user
+app.put('/api/admin/users/:id/role', protect, requirePermission('roles.manage'), async (req, res, next) => {
+  try {
+    const { role: roleName } = req.body;
+    const role = await Role.findOne({ name: String(roleName || '').toLowerCase() });
+    
+    if (!role) {
+      return res.status(400).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+    
+    if (req.params.id === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own role'
+      });
+    }
+    
+    const user = await User.findById(req.params.id);
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    const previousRole = user.role;
+    user.role = role.name;
+    await user.save({ validateBeforeSave: false });
+    
+    logger.info(`Admin ${req.user.username} assigned role ${role.name} to ${user.username}`);
+    await audit(req, {
+      action: 'user.role_change',
+      target: userTarget(user),
+      metadata: { from: previousRole, to: role.name }
+    });
+    res.json({
+      success: true,
+      message: `${user.username} is now ${role.name}`,
+      data: user
     });
+  } catch (error) {
+    next(error);
   }
 });
 
 // View logs endpoint (admin only)
-app.get('/api/admin/logs', protect, authorize('admin'), (req, res) => {
+app.get('/api/admin/logs', allowApiKey('users:admin'), protect, requirePermission('logs.read'), async (req, res) => {
   const fs = require('fs');
   const logsDir = path.join(__dirname, 'logs');
   
@@ -503,6 +2580,7 @@ app.get('/api/admin/logs', protect, authorize('admin'), (req, res) => {
     }
 
     const files = fs.readdirSync(logsDir);
+    await audit(req, { action: 'logs.read', target: { type: 'logs', id: 'logs' }, metadata: { files: files.length } });
     res.json({
       success: true,
       logs: files
@@ -516,11 +2594,122 @@ app.get('/api/admin/logs', protect, authorize('admin'), (req, res) => {
   }
 });
 
+// Turn audit query parameters into a MongoDB filter; throws on malformed input
+const buildAuditFilter = (query) => {
+  const { action, outcome, actor, target, from, to } = query;
+  const filter = {};
+  
+  if (action) filter.action = String(action);
+  if (outcome) filter.outcome = String(outcome);
+  if (target) filter['target.id'] = String(target);
+  
+  if (actor) {
+    if (!mongoose.isValidObjectId(actor)) {
+      throw new Error('actor must be a user id');
+    }
+    filter['actor.id'] = actor;
+  }
+  
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = new Date(from);
+    if (to) filter.createdAt.$lte = new Date(to);
+    
+    if (Object.values(filter.createdAt).some(date => isNaN(date))) {
+      throw new Error('from and to must be valid dates');
+    }
+  }
+  
+  return filter;
+};
+
+// Search the audit log (newest first)
+app.get('/api/admin/audit', protect, requirePermission('audit.read'), async (req, res, next) => {
+  try {
+    let filter;
+    try {
+      filter = buildAuditFilter(req.query);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    
+    const [events, total] = await Promise.all([
+      AuditEvent.find(filter).sort('-createdAt').skip((page - 1) * limit).limit(limit),
+      AuditEvent.countDocuments(filter)
+    ]);
+    
+    res.json({
+      success: true,
+      count: events.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      data: events
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Download the matching audit events as CSV
+app.get('/api/admin/audit/export', protect, requirePermission('audit.read'), async (req, res, next) => {
+  try {
+    let filter;
+    try {
+      filter = buildAuditFilter(req.query);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    res.set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="audit-${new Date().toISOString().slice(0, 10)}.csv"`
+    });
+    res.write(toCsvRow(['createdAt', 'action', 'outcome', 'actorId', 'actorUsername', 'targetType', 'targetId', 'targetLabel', 'ip', 'userAgent', 'metadata']));
+    
+    const cursor = AuditEvent.find(filter).sort('-createdAt').lean().cursor();
+    for await (const event of cursor) {
+      const actor = event.actor || {};
+      const target = event.target || {};
+      res.write(toCsvRow([
+        event.createdAt,
+        event.action,
+        event.outcome,
+        actor.id,
+        actor.username,
+        target.type,
+        target.id,
+        target.label,
+        event.ip,
+        event.userAgent,
+        event.metadata && JSON.stringify(event.metadata)
+      ]));
+    }
+    
+    res.end();
+  } catch (error) {
+    if (res.headersSent) {
+      logger.error('Audit export error:', error);
+      return res.end();
+    }
+    next(error);
+  }
+});
+
 // ============================================
 // VIEW ROUTES
 // ============================================
 
-app.get('/', optionalAuth, (req, res) => {
+app.get('/', optionalAuth, loadPermissions, (req, res) => {
   res.render('landing', { 
     title: 'ModernApp',
     user: req.user || null
@@ -530,10 +2719,26 @@ app.get('/', optionalAuth, (req, res) => {
 app.get('/login', (req, res) => {
   res.render('login', { 
     title: 'Login',
+    user: null,
+    githubEnabled: Boolean(passport._strategy('github'))
+  });
+});
+
+app.get('/forgot-password', (req, res) => {
+  res.render('forgot-password', {
+    title: 'Forgot Password',
     user: null
   });
 });
 
+app.get('/reset-password/:token', (req, res) => {
+  res.render('reset-password', {
+    title: 'Reset Password',
+    user: null,
+    token: req.params.token
+  });
+});
+
 app.get('/register-advanced', (req, res) => {
   res.render('register-advanced', { 
     title: 'Register',
@@ -541,28 +2746,42 @@ app.get('/register-advanced', (req, res) => {
   });
 });
 
-app.get('/api-dashboard', protect, authorize('admin'), (req, res) => {
+app.get('/complete-profile', protectPage, (req, res) => {
+  if (!req.user.profileIncomplete) {
+    return res.redirect('/dashboard');
+  }
+  
+  res.render('complete-profile', {
+    title: 'Complete Your Profile',
+    user: req.user
+  });
+});
+
+app.get('/api-dashboard', protectPage, requireCompleteProfile, requirePermission('users.read'), (req, res) => {
   res.render('api-dashboard', {
     title: 'API Dashboard',
     user: req.user
   });
 });
 
-app.get('/dashboard', protect, (req, res) => {
+app.get('/dashboard', protectPage, requireCompleteProfile, loadPermissions, (req, res) => {
   res.render('user-dashboard', {
     title: 'Dashboard',
-    user: req.user
+    user: req.user,
+    requireAdmin2fa: twoFactor.isTwoFactorRequired(req.permissions),
+    csrfToken: getCsrfToken(req),
+    providers: Object.keys(OAUTH_SCOPES).filter(provider => passport._strategy(provider))
   });
 });
 
-app.get('/external-apis', protect, (req, res) => {
+app.get('/external-apis', protectPage, requireCompleteProfile, loadPermissions, (req, res) => {
   res.render('external-apis', {
     title: 'External APIs',
     user: req.user
   });
 });
 
-app.get('/all-users', optionalAuth, async (req, res) => {
+app.get('/all-users', optionalAuth, loadPermissions, async (req, res) => {
   try {
     const users = await User.find();
     res.render('all-users', {
@@ -0,0 +1,72 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const storage = require('./storage');
+const { ErrorResponse } = require('../middleware/errorHandler');
+
+// Uploaded avatars: sniffed, re-encoded to WebP thumbnails and stored under avatars/<userId>/
+const AVATAR_SIZES = [64, 128, 256];
+const AVATAR_MAX_BYTES = 5 * 1024 * 1024;
+const AVATAR_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+
+// Leading bytes of each accepted format; the declared Content-Type is not trusted
+const sniffImageType = (buffer) => {
+  if (buffer.length < 12) return null;
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'image/jpeg';
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'image/png';
+  if (['GIF87a', 'GIF89a'].includes(buffer.toString('ascii', 0, 6))) return 'image/gif';
+  if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') return 'image/webp';
+  return null;
+};
+
+const avatarKey = (userId, avatarId, size) => `avatars/${userId}/${avatarId}-${size}.webp`;
+
+// Public URL of one thumbnail; the id changes on every upload so the files can be cached forever
+const avatarUrl = (userId, avatarId, size = 128) => `/avatars/${userId}/${avatarId}-${size}.webp`;
+
+// Validate an uploaded file and store its thumbnails; returns the new avatar id
+const saveAvatar = async (userId, file) => {
+  const type = sniffImageType(file.buffer);
+  if (!type || type !== file.mimetype) {
+    throw new ErrorResponse('Avatar must be a JPEG, PNG, WebP or GIF image', 400);
+  }
+
+  const avatarId = crypto.randomBytes(8).toString('hex');
+  let thumbnails;
+  try {
+    // Re-encoding strips metadata (EXIF location etc.) and anything smuggled after the image data
+    thumbnails = await Promise.all(AVATAR_SIZES.map(size => {
+      return sharp(file.buffer, { limitInputPixels: 40e6 })
+        .rotate()
+        .resize(size, size, { fit: 'cover' })
+        .webp({ quality: 80 })
+        .toBuffer();
+    }));
+  } catch (error) {
+    throw new ErrorResponse('Avatar image could not be processed', 400);
+  }
+
+  await Promise.all(thumbnails.map((buffer, index) => storage.put(avatarKey(userId, avatarId, AVATAR_SIZES[index]), buffer)));
+  return avatarId;
+};
+
+const removeAvatar = async (userId, avatarId) => {
+  if (!avatarId) return;
+  await storage.remove(AVATAR_SIZES.map(size => avatarKey(userId, avatarId, size)));
+};
+
+// Everything stored for a user; used when the account is purged
+const removeAllAvatars = (userId) => storage.removePrefix(`avatars/${userId}`);
+
+const readAvatar = (userId, avatarId, size) => storage.read(avatarKey(userId, avatarId, size));
+
+module.exports = {
+  AVATAR_SIZES,
+  AVATAR_MAX_BYTES,
+  AVATAR_MIME_TYPES,
+  sniffImageType,
+  avatarUrl,
+  saveAvatar,
+  removeAvatar,
+  removeAllAvatars,
+  readAvatar
+};
@@ -0,0 +1,160 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const archiver = require('archiver');
+const redisClient = require('../config/redis');
+const User = require('../models/User');
+const ApiKey = require('../models/ApiKey');
+const Session = require('../models/Session');
+const AuditEvent = require('../models/AuditEvent');
+const { toCsvRow } = require('../utils/csv');
+
+// Personal data exports: built by a background job, kept on disk for a limited time
+const EXPORT_DIR = process.env.DATA_EXPORT_DIR || path.join(__dirname, '..', 'exports');
+const EXPORT_TTL_HOURS = parseInt(process.env.DATA_EXPORT_TTL_HOURS) || 24;
+const EXPORT_PREFIX = 'export:';
+
+const toCsv = (columns, rows) => {
+  return toCsvRow(columns) + rows.map(row => toCsvRow(columns.map(column => row[column]))).join('');
+};
+
+// Gather everything stored about a user
+const collectUserData = async (userId) => {
+  const user = await User.findById(userId);
+
+  if (!user) {
+    throw new Error(`User ${userId} not found`);
+  }
+
+  const [sessions, loginHistory, apiKeys] = await Promise.all([
+    Session.find({ user: userId }).sort('-createdAt').lean(),
+    AuditEvent.find({ action: 'auth.login', 'target.id': String(userId) }).sort('-createdAt').lean(),
+    ApiKey.find({ user: userId }).sort('-createdAt').lean()
+  ]);
+
+  return {
+    exportedAt: new Date().toISOString(),
+    profile: user.toJSON(),
+    loginHistory: loginHistory.map(event => ({
+      date: event.createdAt,
+      outcome: event.outcome,
+      method: event.metadata && event.metadata.method,
+      reason: event.metadata && event.metadata.reason,
+      ip: event.ip,
+      userAgent: event.userAgent
+    })),
+    sessions: sessions.map(session => ({
+      createdAt: session.createdAt,
+      lastSeenAt: session.lastSeenAt,
+      revokedAt: session.revokedAt,
+      method: session.method,
+      ip: session.ip,
+      browser: session.browser,
+      os: session.os,
+      device: session.device
+    })),
+    apiUsage: {
+      apiCallsCount: user.apiCallsCount,
+      lastApiCall: user.lastApiCall,
+      apiKeys: apiKeys.map(key => ({
+        name: key.name,
+        prefix: key.prefix,
+        scopes: key.scopes.join(' '),
+        createdAt: key.createdAt,
+        lastUsedAt: key.lastUsedAt,
+        expiresAt: key.expiresAt,
+        revokedAt: key.revokedAt
+      }))
+    }
+  };
+};
+
+const writeZip = (file, entries) => {
+  return new Promise((resolve, reject) => {
+    const output = fs.createWriteStream(file);
+    const archive = archiver('zip', { zlib: { level: 9 } });
+
+    output.on('close', resolve);
+    // Disk errors (EACCES, ENOSPC) must fail the job, not crash the process
+    output.on('error', reject);
+    archive.on('error', reject);
+    archive.pipe(output);
+
+    Object.entries(entries).forEach(([name, content]) => archive.append(content, { name }));
+    archive.finalize();
+  });
+};
+
+// Build the archive for a user and register it for download; returns the export id and expiry
+const createExport = async (userId) => {
+  const data = await collectUserData(userId);
+  const id = crypto.randomBytes(16).toString('hex');
+  const file = path.join(EXPORT_DIR, `${id}.zip`);
+
+  await fs.promises.mkdir(EXPORT_DIR, { recursive: true });
+
+  // Write under a temporary name so a half-written archive is never served
+  try {
+    await writeZip(`${file}.tmp`, {
+      'data.json': JSON.stringify(data, null, 2),
+      'profile.csv': toCsv(Object.keys(data.profile), [data.profile]),
+      'login-history.csv': toCsv(['date', 'outcome', 'method', 'reason', 'ip', 'userAgent'], data.loginHistory),
+      'sessions.csv': toCsv(['createdAt', 'lastSeenAt', 'revokedAt', 'method', 'ip', 'browser', 'os', 'device'], data.sessions),
+      'api-keys.csv': toCsv(['name', 'prefix', 'scopes', 'createdAt', 'lastUsedAt', 'expiresAt', 'revokedAt'], data.apiUsage.apiKeys)
+    });
+  } catch (error) {
+    await fs.promises.rm(`${file}.tmp`, { force: true });
+    throw error;
+  }
+  await fs.promises.rename(`${file}.tmp`, file);
+
+  const expiresAt = new Date(Date.now() + EXPORT_TTL_HOURS * 60 * 60 * 1000);
+  await redisClient.set(
+    `${EXPORT_PREFIX}${id}`,
+    JSON.stringify({ userId: String(userId), file, expiresAt }),
+    'EX',
+    EXPORT_TTL_HOURS * 60 * 60
+  );
+
+  return { id, expiresAt };
+};
+
+// Resolve a download for its owner; null when the export is unknown, expired or someone else's
+const findExport = async (id, userId) => {
+  if (!/^[a-f0-9]{32}$/.test(String(id))) return null;
+
+  const record = await redisClient.get(`${EXPORT_PREFIX}${id}`);
+  if (!record) return null;
+
+  const exportInfo = JSON.parse(record);
+  if (exportInfo.userId !== String(userId) || !fs.existsSync(exportInfo.file)) return null;
+
+  return exportInfo;
+};
+
+// Delete archives older than the download window
+const purgeExpiredExports = async () => {
+  const cutoff = Date.now() - EXPORT_TTL_HOURS * 60 * 60 * 1000;
+  let removed = 0;
+
+  if (!fs.existsSync(EXPORT_DIR)) return removed;
+
+  for (const name of await fs.promises.readdir(EXPORT_DIR)) {
+    const file = path.join(EXPORT_DIR, name);
+    const { mtimeMs } = await fs.promises.stat(file);
+
+    if (mtimeMs < cutoff) {
+      await fs.promises.unlink(file);
+      removed += 1;
+    }
+  }
+
+  return removed;
+};
+
+module.exports = {
+  EXPORT_TTL_HOURS,
+  createExport,
+  findExport,
+  purgeExpiredExports
+};
@@ -0,0 +1,49 @@
+const fs = require('fs');
+const path = require('path');
+
+// Small blob store for uploaded files. Callers only use put/read/remove/removePrefix with
+// "folder/name" keys, so the local disk driver can be swapped for object storage later.
+const UPLOAD_DIR = process.env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads');
+
+const createLocalStorage = (root) => {
+  // Keys are generated by the server, but never let one escape the upload directory
+  const resolve = (key) => {
+    const file = path.resolve(root, key);
+    if (!file.startsWith(path.resolve(root) + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return file;
+  };
+
+  return {
+    async put(key, buffer) {
+      const file = resolve(key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      // Write under a temporary name so readers never see a partial file
+      await fs.promises.writeFile(`${file}.tmp`, buffer);
+      await fs.promises.rename(`${file}.tmp`, file);
+    },
+
+    // Readable stream, or null when the key does not exist
+    async read(key) {
+      const file = resolve(key);
+      try {
+        await fs.promises.access(file);
+      } catch (error) {
+        return null;
+      }
+      return fs.createReadStream(file);
+    },
+
+    async remove(keys) {
+      await Promise.all(keys.map(key => fs.promises.rm(resolve(key), { force: true })));
+    },
+
+    async removePrefix(prefix) {
+      await fs.promises.rm(resolve(prefix), { recursive: true, force: true });
+    }
+  };
+};
+
+module.exports = createLocalStorage(UPLOAD_DIR);
+module.exports.createLocalStorage = createLocalStorage;
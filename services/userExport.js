@@ -0,0 +1,99 @@
+const ExcelJS = require('exceljs');
+const { toCsvRow } = require('../utils/csv');
+const { ErrorResponse } = require('../middleware/errorHandler');
+
+// Spreadsheet exports of the user list, streamed row by row from a Mongo cursor
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+};
+
+// Secrets are not projectable, so only the columns below are ever read from the database
+const DEFAULT_COLUMNS = [
+  'username', 'email', 'emailVerified', 'phone', 'age', 'gender', 'country', 'postalCode',
+  'website', 'skills', 'newsletter', 'role', 'isActive', 'lastLogin', 'createdAt'
+];
+
+const parseFormat = (format = 'csv') => {
+  const name = String(format).toLowerCase();
+  if (!EXPORT_FORMATS[name]) {
+    throw new ErrorResponse(`format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`, 400);
+  }
+  return name;
+};
+
+// Flat cell value for CSV and XLSX; arrays become "a; b"
+const toCell = (value) => {
+  if (Array.isArray(value)) return value.join('; ');
+  if (value && value._bsontype === 'ObjectId') return String(value);
+  return value === undefined ? null : value;
+};
+
+const disconnected = () => new Error('Client disconnected during export');
+
+// Respect backpressure so a slow client doesn't make the whole result pile up in memory.
+// A client that disconnects never drains, so close and error settle the wait as well.
+const write = (stream, chunk) => {
+  if (stream.destroyed) return Promise.reject(disconnected());
+  if (stream.write(chunk)) return Promise.resolve();
+
+  return new Promise((resolve, reject) => {
+    const settle = () => {
+      stream.off('drain', settle).off('close', settle).off('error', settle);
+      if (stream.destroyed) reject(disconnected());
+      else resolve();
+    };
+    stream.on('drain', settle).on('close', settle).on('error', settle);
+  });
+};
+
+const writeCsv = async (cursor, stream, columns) => {
+  await write(stream, toCsvRow(['id', ...columns]));
+  for await (const user of cursor) {
+    await write(stream, toCsvRow([user._id, ...columns.map(column => toCell(user[column]))]));
+  }
+  stream.end();
+};
+
+const writeNdjson = async (cursor, stream, columns) => {
+  for await (const user of cursor) {
+    const row = columns.reduce((picked, column) => ({ ...picked, [column]: user[column] }), { id: user._id });
+    await write(stream, `${JSON.stringify(row)}\n`);
+  }
+  stream.end();
+};
+
+const writeXlsx = async (cursor, stream, columns) => {
+  // Inline strings keep the writer from holding a shared string table for the whole sheet
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: false, useSharedStrings: false });
+  const sheet = workbook.addWorksheet('Users');
+
+  sheet.addRow(['id', ...columns]).commit();
+  for await (const user of cursor) {
+    if (stream.destroyed) throw disconnected();
+    sheet.addRow([String(user._id), ...columns.map(column => toCell(user[column]))]).commit();
+  }
+
+  sheet.commit();
+  await workbook.commit();
+};
+
+const WRITERS = { csv: writeCsv, ndjson: writeNdjson, xlsx: writeXlsx };
+
+// Stream every document from a lean cursor in the given format; ends the stream when done and
+// always releases the cursor, even when the client goes away halfway
+const streamUsers = async (cursor, stream, { format, columns }) => {
+  try {
+    await WRITERS[format](cursor, stream, columns);
+  } finally {
+    await cursor.close();
+  }
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  DEFAULT_COLUMNS,
+  parseFormat,
+  streamUsers
+};
@@ -0,0 +1,139 @@
+const crypto = require('crypto');
+const { parse } = require('csv-parse/sync');
+const redisClient = require('../config/redis');
+const User = require('../models/User');
+const { validateRegistrationForm } = require('../validators');
+const { ErrorResponse } = require('../middleware/errorHandler');
+
+// Bulk user import: parsing and validation run in the request, creation in a background job
+const MAX_ROWS = 1000;
+const PROGRESS_PREFIX = 'import:';
+const PROGRESS_TTL = 24 * 60 * 60; // seconds
+
+const IMPORT_FIELDS = ['username', 'email', 'password', 'phone', 'age', 'gender', 'country', 'postalCode', 'website', 'bio', 'skills', 'newsletter'];
+
+const parseBoolean = (value) => value === true || ['true', 'yes', '1'].includes(String(value).toLowerCase());
+
+// Accepts a CSV with a header row, or JSON as an array or { users: [...] }
+const parseImportFile = ({ buffer, mimetype, originalname = '' }) => {
+  const text = buffer.toString('utf8').replace(/^﻿/, '');
+  const isJson = mimetype === 'application/json' || originalname.toLowerCase().endsWith('.json');
+
+  let rows;
+  try {
+    if (isJson) {
+      const data = JSON.parse(text);
+      rows = Array.isArray(data) ? data : data.users;
+    } else {
+      rows = parse(text, { columns: true, skip_empty_lines: true, trim: true });
+    }
+  } catch (error) {
+    throw new ErrorResponse(`Could not parse ${isJson ? 'JSON' : 'CSV'} file: ${error.message}`, 400);
+  }
+
+  if (!Array.isArray(rows) || rows.length === 0) {
+    throw new ErrorResponse('The file contains no users', 400);
+  }
+  if (rows.length > MAX_ROWS) {
+    throw new ErrorResponse(`A single import is limited to ${MAX_ROWS} users`, 400);
+  }
+
+  return rows;
+};
+
+// Meets validatePassword; invited users replace it through their invitation link
+const generatePlaceholderPassword = () => `Aa1@${crypto.randomBytes(18).toString('base64url')}`;
+
+// Pick known columns and coerce CSV strings into the shapes the schema expects
+const normalizeRow = (raw, { sendInvitations }) => {
+  const row = {};
+  IMPORT_FIELDS.forEach(field => {
+    if (raw[field] !== undefined && raw[field] !== '') row[field] = raw[field];
+  });
+
+  if (row.username) row.username = String(row.username).trim();
+  if (row.email) row.email = String(row.email).trim().toLowerCase();
+  if (typeof row.skills === 'string') {
+    row.skills = row.skills.split(/[;|]/).map(skill => skill.trim()).filter(Boolean);
+  }
+  row.newsletter = row.newsletter !== undefined && parseBoolean(row.newsletter);
+
+  if (!row.password && sendInvitations) {
+    row.password = generatePlaceholderPassword();
+  }
+  return row;
+};
+
+// Validate every row; returns the normalized rows and per-row errors (row numbers are 1-based)
+const validateRows = async (rawRows, { sendInvitations = false } = {}) => {
+  const rows = rawRows.map(raw => normalizeRow(raw || {}, { sendInvitations }));
+  const errors = [];
+  const seenEmails = new Map();
+  const seenUsernames = new Map();
+
+  // Read straight from the collection so soft-deleted accounts, which still hold their email and username, count too
+  const [emailOwners, usernameOwners] = await Promise.all([
+    User.collection.find(
+      { email: { $in: rows.map(row => row.email).filter(Boolean) } },
+      { projection: { email: 1 } }
+    ).toArray(),
+    // Usernames are unique regardless of case; the collation lets the lookup use the unique index
+    User.collection.find(
+      { username: { $in: rows.map(row => row.username).filter(Boolean) } },
+      { collation: User.USERNAME_COLLATION, projection: { username: 1 } }
+    ).toArray()
+  ]);
+  const takenEmails = new Set(emailOwners.map(user => user.email));
+  const takenUsernames = new Set(usernameOwners.map(user => user.username.toLowerCase()));
+
+  rows.forEach((row, index) => {
+    const rowNumber = index + 1;
+    const rowErrors = validateRegistrationForm({ ...row, confirmPassword: row.password, terms: true });
+
+    const schemaError = new User(row).validateSync();
+    if (schemaError) {
+      Object.values(schemaError.errors).forEach(error => {
+        if (!rowErrors.includes(error.message)) rowErrors.push(error.message);
+      });
+    }
+
+    if (row.email) {
+      if (takenEmails.has(row.email)) rowErrors.push('Email already exists');
+      if (seenEmails.has(row.email)) rowErrors.push(`Duplicate email (same as row ${seenEmails.get(row.email)})`);
+      else seenEmails.set(row.email, rowNumber);
+    }
+
+    if (row.username) {
+      const username = row.username.toLowerCase();
+      if (takenUsernames.has(username)) rowErrors.push('Username already exists');
+      if (seenUsernames.has(username)) rowErrors.push(`Duplicate username (same as row ${seenUsernames.get(username)})`);
+      else seenUsernames.set(username, rowNumber);
+    }
+
+    if (rowErrors.length > 0) {
+      errors.push({ row: rowNumber, email: row.email, username: row.username, errors: rowErrors });
+    }
+  });
+
+  return { rows, errors };
+};
+
+// Progress is kept outside the job so it stays readable after the job is removed
+const saveProgress = async (importId, progress) => {
+  await redisClient.set(`${PROGRESS_PREFIX}${importId}`, JSON.stringify(progress), 'EX', PROGRESS_TTL);
+};
+
+const getProgress = async (importId) => {
+  if (!/^[a-f0-9]{24}$/.test(String(importId))) return null;
+
+  const progress = await redisClient.get(`${PROGRESS_PREFIX}${importId}`);
+  return progress ? JSON.parse(progress) : null;
+};
+
+module.exports = {
+  MAX_ROWS,
+  parseImportFile,
+  validateRows,
+  saveProgress,
+  getProgress
+};
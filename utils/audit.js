@@ -0,0 +1,29 @@
+const AuditEvent = require('../models/AuditEvent');
+const logger = require('../config/logger');
+
+// Record a security event; failures are logged and never break the request
+exports.audit = async (req, { action, outcome = 'success', actor = req.user, target, metadata }) => {
+  try {
+    await AuditEvent.create({
+      action,
+      outcome,
+      actor: actor ? { id: actor._id, username: actor.username } : undefined,
+      target: target && {
+        type: target.type,
+        id: target.id && String(target.id),
+        label: target.label
+      },
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+      // Actions taken during impersonation are attributed to the admin as well
+      metadata: req.impersonator
+        ? { ...metadata, impersonatedBy: { id: req.impersonator._id, username: req.impersonator.username } }
+        : metadata
+    });
+  } catch (error) {
+    logger.error(`Failed to write audit event ${action}:`, error);
+  }
+};
+
+// Shorthand for events that target a user account
+exports.userTarget = (user) => ({ type: 'user', id: user._id, label: user.username });
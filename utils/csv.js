@@ -0,0 +1,13 @@
+// Quote a value for CSV; leading =, +, - and @ are escaped so spreadsheets don't run them as formulas
+const escapeCsv = (value) => {
+  if (value === undefined || value === null) return '';
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+exports.toCsvRow = (values) => `${values.map(escapeCsv).join(',')}\r\n`;
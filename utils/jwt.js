@@ -1,35 +1,255 @@
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const tokenStore = require('./tokenStore');
+const Session = require('../models/Session');
+const Role = require('../models/Role');
+const { isTwoFactorRequired } = require('./twoFactor');
 
-// Generate JWT token
-exports.generateToken = (userId) => {
+const ACCESS_EXPIRE = process.env.JWT_ACCESS_EXPIRE || '15m';
+const REFRESH_EXPIRE = process.env.JWT_REFRESH_EXPIRE || process.env.JWT_EXPIRE || '7d';
+const REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET;
+
+// Generate short-lived JWT access token, tied to the session it was issued for
+exports.generateToken = (userId, sessionId) => {
   return jwt.sign(
-    { id: userId },
+    { id: userId, sid: sessionId },
     process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRE }
+    { expiresIn: ACCESS_EXPIRE, jwtid: crypto.randomUUID() }
   );
 };
 
-// Send token response with cookie
-exports.sendTokenResponse = (user, statusCode, res) => {
-  const token = this.generateToken(user._id);
-  
-  const options = {
-    expires: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000), // 7 days
-    httpOnly: true,
-    secure: process.env.NODE_ENV === 'production', // HTTPS in production
-    sameSite: 'strict'
+// Access token for an admin acting as another user; carries both ids and the admin's own
+// session, and cannot be refreshed
+exports.generateImpersonationToken = (adminId, userId, adminSessionId) => {
+  return jwt.sign(
+    { id: userId, imp: adminId, isid: adminSessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.IMPERSONATION_EXPIRE || '30m', jwtid: crypto.randomUUID() }
+  );
+};
+
+// Generate refresh token and register it as the current token of its rotation family
+exports.generateRefreshToken = async (userId, family = crypto.randomUUID()) => {
+  const token = jwt.sign(
+    { id: userId, fam: family, type: 'refresh' },
+    REFRESH_SECRET,
+    { expiresIn: REFRESH_EXPIRE, jwtid: crypto.randomUUID() }
+  );
+
+  const { jti, exp } = jwt.decode(token);
+  await tokenStore.saveRefreshToken({ userId: String(userId), family, jti, exp });
+  return token;
+};
+
+// Log a user in on this device: records a session and issues its token pair
+exports.startSession = async (user, req, { method = 'password' } = {}) => {
+  const family = crypto.randomUUID();
+  const refreshToken = await exports.generateRefreshToken(user._id, family);
+
+  await Session.start({
+    user: user._id,
+    family,
+    method,
+    expiresAt: jwt.decode(refreshToken).exp * 1000,
+    req
+  });
+
+  return { token: exports.generateToken(user._id, family), refreshToken };
+};
+
+// Sign out a single session of a user
+exports.revokeSession = async (session) => {
+  await tokenStore.revokeSession(String(session.user), session.family, session.expiresAt.getTime());
+  session.revokedAt = Date.now();
+  await session.save();
+};
+
+// Sign out every session of a user
+exports.revokeAllSessions = async (userId) => {
+  await tokenStore.revokeAllUserTokens(String(userId));
+  await Session.revokeAllForUser(userId);
+};
+
+// Verify access token signature, expiry and revocation state
+exports.verifyAccessToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  if (decoded.type || !decoded.jti) {
+    throw new jwt.JsonWebTokenError('Invalid token type');
+  }
+
+  if (await tokenStore.isAccessTokenRevoked(decoded)) {
+    throw new jwt.JsonWebTokenError('Token has been revoked');
+  }
+
+  return decoded;
+};
+
+// Exchange a refresh token for a new pair; reusing a rotated token revokes the whole family
+exports.rotateRefreshToken = async (refreshToken) => {
+  const decoded = jwt.verify(refreshToken, REFRESH_SECRET);
+
+  if (decoded.type !== 'refresh') {
+    throw new jwt.JsonWebTokenError('Invalid token type');
+  }
+
+  const nextToken = jwt.sign(
+    { id: decoded.id, fam: decoded.fam, type: 'refresh' },
+    REFRESH_SECRET,
+    { expiresIn: REFRESH_EXPIRE, jwtid: crypto.randomUUID() }
+  );
+  const next = jwt.decode(nextToken);
+
+  const { status, successor } = await tokenStore.rotateRefreshToken(
+    { userId: decoded.id, family: decoded.fam, jti: decoded.jti, iat: decoded.iat },
+    { jti: next.jti, exp: next.exp, token: nextToken }
+  );
+
+  if (status === 'reused') {
+    await exports.revokeAllSessions(decoded.id);
+  }
+
+  if (status !== 'rotated') {
+    return { status, userId: decoded.id };
+  }
+
+  if (!successor) {
+    await Session.touch(decoded.fam, { expiresAt: next.exp * 1000 });
+  }
+
+  return {
+    status,
+    userId: decoded.id,
+    token: exports.generateToken(decoded.id, decoded.fam),
+    refreshToken: successor || nextToken
   };
-  
-  res.status(statusCode)
-    .cookie('token', token, options)
+};
+
+// Revoke whatever tokens a client presents on logout; invalid tokens are ignored
+exports.revokeTokens = async ({ token, refreshToken }) => {
+  if (token) {
+    try {
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      await tokenStore.revokeAccessToken(decoded);
+    } catch (error) {
+      // Already expired or malformed
+    }
+  }
+
+  if (refreshToken) {
+    try {
+      const decoded = jwt.verify(refreshToken, REFRESH_SECRET);
+      await tokenStore.revokeRefreshFamily(decoded.id, decoded.fam);
+      await Session.updateOne({ family: decoded.fam }, { $set: { revokedAt: Date.now() } });
+    } catch (error) {
+      // Already expired or malformed
+    }
+  }
+};
+
+// Generate signed email verification token bound to the address being verified
+exports.generateEmailVerificationToken = (user) => {
+  return jwt.sign(
+    { id: user._id, email: user.email, type: 'email-verification' },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.EMAIL_VERIFICATION_EXPIRE || '24h' }
+  );
+};
+
+exports.verifyEmailVerificationToken = (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  if (decoded.type !== 'email-verification') {
+    throw new jwt.JsonWebTokenError('Invalid token type');
+  }
+
+  return decoded;
+};
+
+// Short-lived, single-use token proving the password step of a two-factor login succeeded
+exports.generateTwoFactorChallenge = async (userId, method = 'password') => {
+  const token = jwt.sign(
+    { id: userId, method, type: '2fa-challenge' },
+    process.env.JWT_SECRET,
+    { expiresIn: '5m', jwtid: crypto.randomUUID() }
+  );
+
+  await tokenStore.saveTwoFactorChallenge(jwt.decode(token));
+  return token;
+};
+
+exports.verifyTwoFactorChallenge = (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  if (decoded.type !== '2fa-challenge' || !decoded.jti) {
+    throw new jwt.JsonWebTokenError('Invalid token type');
+  }
+
+  return decoded;
+};
+
+// Mark a challenge as used; false when it was already used by another login
+exports.consumeTwoFactorChallenge = (decoded) => tokenStore.consumeTwoFactorChallenge(decoded.jti);
+
+// Set access and refresh cookies, each expiring with its token
+exports.setTokenCookies = (res, { token, refreshToken }, { sameSite = 'strict' } = {}) => {
+  const secure = process.env.NODE_ENV === 'production'; // HTTPS in production
+
+  res.cookie('token', token, {
+    expires: new Date(jwt.decode(token).exp * 1000),
+    httpOnly: true,
+    secure,
+    sameSite
+  });
+
+  res.cookie('refreshToken', refreshToken, {
+    expires: new Date(jwt.decode(refreshToken).exp * 1000),
+    httpOnly: true,
+    secure,
+    sameSite,
+    path: '/api/auth'
+  });
+
+  return res;
+};
+
+exports.clearTokenCookies = (res) => {
+  res.cookie('token', 'none', {
+    expires: new Date(Date.now() + 1000),
+    httpOnly: true
+  });
+
+  res.cookie('refreshToken', 'none', {
+    expires: new Date(Date.now() + 1000),
+    httpOnly: true,
+    path: '/api/auth'
+  });
+
+  return res;
+};
+
+// Public user fields returned alongside tokens
+exports.tokenUser = (user) => ({
+  id: user._id,
+  username: user.username,
+  email: user.email,
+  role: user.role,
+  emailVerified: user.emailVerified
+});
+
+// Start a session and send the token response with cookies
+exports.sendTokenResponse = async (user, statusCode, req, res, { method } = {}) => {
+  const { token, refreshToken } = await exports.startSession(user, req, { method });
+  const permissions = await Role.getPermissions(user.role);
+
+  exports.setTokenCookies(res, { token, refreshToken })
+    .status(statusCode)
     .json({
       success: true,
       token,
-      user: {
-        id: user._id,
-        username: user.username,
-        email: user.email,
-        role: user.role
-      }
+      refreshToken,
+      twoFactorSetupRequired: isTwoFactorRequired(permissions) && !user.twoFactorEnabled,
+      redirect: Role.homePath(permissions),
+      user: exports.tokenUser(user)
     });
 };
@@ -0,0 +1,203 @@
+const crypto = require('crypto');
+const redisClient = require('../config/redis');
+
+// Redis-backed bookkeeping for refresh token rotation, access token revocation and OAuth codes
+const REFRESH_FAMILY_PREFIX = 'refresh:family:';
+const REFRESH_USER_PREFIX = 'refresh:user:';
+const REFRESH_GRACE_PREFIX = 'refresh:grace:';
+// Tabs that refresh at the same moment present the same token; the later ones get its successor
+const REFRESH_GRACE_TTL = 30; // seconds
+const REVOKED_PREFIX = 'revoked:';
+const REVOKED_BEFORE_PREFIX = 'revoked-before:';
+const REVOKED_SESSION_PREFIX = 'revoked-session:';
+const AUTH_CODE_PREFIX = 'oauth:code:';
+const TWO_FACTOR_CHALLENGE_PREFIX = '2fa:challenge:';
+const AUTH_CODE_TTL = 60; // seconds
+
+// Atomically swap the current token of a family, or report reuse of an old one.
+// KEYS: family, user's family set, revoked-before, grace entry of the presented token
+// ARGV: current value, next value, ttl, token iat, family id, next token, grace ttl
+// Returns 1 (rotated), 0 (unknown), -1 (reused) or the successor token within the grace window
+redisClient.defineCommand('rotateRefreshFamily', {
+  numberOfKeys: 4,
+  lua: `
+    local current = redis.call('GET', KEYS[1])
+    if not current then
+      return 0
+    end
+    local revokedBefore = redis.call('GET', KEYS[3])
+    if revokedBefore and tonumber(ARGV[4]) < tonumber(revokedBefore) then
+      redis.call('DEL', KEYS[1])
+      redis.call('SREM', KEYS[2], ARGV[5])
+      return 0
+    end
+    if current ~= ARGV[1] then
+      -- Only while the successor handed out by the first request is still the current token
+      local grace = redis.call('GET', KEYS[4])
+      if grace then
+        local sep = string.find(grace, ' ', 1, true)
+        if string.sub(grace, 1, sep - 1) == current then
+          return string.sub(grace, sep + 1)
+        end
+      end
+      redis.call('DEL', KEYS[1])
+      return -1
+    end
+    redis.call('SET', KEYS[1], ARGV[2], 'EX', ARGV[3])
+    redis.call('SET', KEYS[4], ARGV[2] .. ' ' .. ARGV[6], 'EX', ARGV[7])
+    -- Keep the set alive as long as its longest-lived family so revokeAllUserTokens still finds it
+    redis.call('SADD', KEYS[2], ARGV[5])
+    if redis.call('TTL', KEYS[2]) < tonumber(ARGV[3]) then
+      redis.call('EXPIRE', KEYS[2], ARGV[3])
+    end
+    return 1
+  `
+});
+
+const secondsUntil = (exp) => Math.max(exp - Math.floor(Date.now() / 1000), 1);
+
+const familyValue = (userId, jti) => `${userId}:${jti}`;
+
+const saveRefreshToken = async ({ userId, family, jti, exp }) => {
+  const ttl = secondsUntil(exp);
+  const userKey = `${REFRESH_USER_PREFIX}${userId}`;
+
+  await redisClient
+    .multi()
+    .set(`${REFRESH_FAMILY_PREFIX}${family}`, familyValue(userId, jti), 'EX', ttl)
+    .sadd(userKey, family)
+    .expire(userKey, ttl)
+    .exec();
+};
+
+// Resolves { status } with status 'rotated', 'reused' (family is revoked as a side effect) or
+// 'unknown'. A token presented again within the grace window resolves 'rotated' together with the
+// successor already issued for it. Tokens issued before the user's revoked-before mark count as
+// unknown and end their family.
+const rotateRefreshToken = async (current, next) => {
+  const result = await redisClient.rotateRefreshFamily(
+    `${REFRESH_FAMILY_PREFIX}${current.family}`,
+    `${REFRESH_USER_PREFIX}${current.userId}`,
+    `${REVOKED_BEFORE_PREFIX}${current.userId}`,
+    `${REFRESH_GRACE_PREFIX}${current.jti}`,
+    familyValue(current.userId, current.jti),
+    familyValue(current.userId, next.jti),
+    secondsUntil(next.exp),
+    current.iat,
+    current.family,
+    next.token,
+    REFRESH_GRACE_TTL
+  );
+
+  if (typeof result === 'string') return { status: 'rotated', successor: result };
+  if (result === 1) return { status: 'rotated' };
+  if (result === -1) {
+    await redisClient.srem(`${REFRESH_USER_PREFIX}${current.userId}`, current.family);
+    return { status: 'reused' };
+  }
+  return { status: 'unknown' };
+};
+
+const revokeRefreshFamily = async (userId, family) => {
+  await redisClient
+    .multi()
+    .del(`${REFRESH_FAMILY_PREFIX}${family}`)
+    .srem(`${REFRESH_USER_PREFIX}${userId}`, family)
+    .exec();
+};
+
+// Sign out one session: its refresh family and every access token issued for it
+const revokeSession = async (userId, family, expiresAt) => {
+  await redisClient
+    .multi()
+    .del(`${REFRESH_FAMILY_PREFIX}${family}`)
+    .srem(`${REFRESH_USER_PREFIX}${userId}`, family)
+    .set(`${REVOKED_SESSION_PREFIX}${family}`, '1', 'EX', secondsUntil(Math.floor(expiresAt / 1000)))
+    .exec();
+};
+
+const revokeAccessToken = async ({ jti, exp }) => {
+  if (!jti || !exp) return;
+  await redisClient.set(`${REVOKED_PREFIX}${jti}`, '1', 'EX', secondsUntil(exp));
+};
+
+// Invalidate every access token issued so far and every refresh family of a user
+const revokeAllUserTokens = async (userId) => {
+  const userKey = `${REFRESH_USER_PREFIX}${userId}`;
+  const families = await redisClient.smembers(userKey);
+
+  const pipeline = redisClient
+    .multi()
+    .set(`${REVOKED_BEFORE_PREFIX}${userId}`, Math.floor(Date.now() / 1000))
+    .del(userKey);
+
+  families.forEach(family => pipeline.del(`${REFRESH_FAMILY_PREFIX}${family}`));
+  await pipeline.exec();
+};
+
+const isAccessTokenRevoked = async ({ jti, id, iat, sid }) => {
+  const [revoked, revokedBefore, sessionRevoked] = await redisClient.mget(
+    `${REVOKED_PREFIX}${jti}`,
+    `${REVOKED_BEFORE_PREFIX}${id}`,
+    `${REVOKED_SESSION_PREFIX}${sid}`
+  );
+
+  if (revoked || (sid && sessionRevoked)) return true;
+  return Boolean(revokedBefore) && iat < Number(revokedBefore);
+};
+
+// An impersonation token is only good while the admin's own session is: signing out there,
+// "sign out everywhere" or a password change ends it too
+const isImpersonatorSessionActive = async ({ imp, isid, iat }) => {
+  if (!isid) return false;
+
+  const [familyExists, revokedBefore] = await Promise.all([
+    redisClient.exists(`${REFRESH_FAMILY_PREFIX}${isid}`),
+    redisClient.get(`${REVOKED_BEFORE_PREFIX}${imp}`)
+  ]);
+
+  if (!familyExists) return false;
+  return !revokedBefore || iat >= Number(revokedBefore);
+};
+
+// Two-factor challenges are single-use: registered when issued, removed by the login they complete
+const saveTwoFactorChallenge = async ({ jti, exp }) => {
+  await redisClient.set(`${TWO_FACTOR_CHALLENGE_PREFIX}${jti}`, '1', 'EX', secondsUntil(exp));
+};
+
+// Resolves true only for the first caller
+const consumeTwoFactorChallenge = async (jti) => {
+  return (await redisClient.del(`${TWO_FACTOR_CHALLENGE_PREFIX}${jti}`)) === 1;
+};
+
+// One-time code handed to the browser after OAuth instead of the token itself
+const createAuthorizationCode = async (payload) => {
+  const code = crypto.randomBytes(32).toString('hex');
+  const key = `${AUTH_CODE_PREFIX}${crypto.createHash('sha256').update(code).digest('hex')}`;
+
+  await redisClient.set(key, JSON.stringify(payload), 'EX', AUTH_CODE_TTL);
+  return code;
+};
+
+// Returns the stored payload once; later attempts with the same code get null
+const consumeAuthorizationCode = async (code) => {
+  const key = `${AUTH_CODE_PREFIX}${crypto.createHash('sha256').update(String(code)).digest('hex')}`;
+  const [[, payload]] = await redisClient.multi().get(key).del(key).exec();
+
+  return payload ? JSON.parse(payload) : null;
+};
+
+module.exports = {
+  saveRefreshToken,
+  rotateRefreshToken,
+  revokeRefreshFamily,
+  revokeSession,
+  revokeAccessToken,
+  revokeAllUserTokens,
+  isAccessTokenRevoked,
+  isImpersonatorSessionActive,
+  saveTwoFactorChallenge,
+  consumeTwoFactorChallenge,
+  createAuthorizationCode,
+  consumeAuthorizationCode
+};
@@ -0,0 +1,83 @@
+const crypto = require('crypto');
+const { authenticator } = require('otplib');
+const QRCode = require('qrcode');
+const redisClient = require('../config/redis');
+
+// RFC 6238 TOTP: 30 second steps, accept one step of clock drift either way
+authenticator.options = { window: 1 };
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'ModernApp';
+const BACKUP_CODE_COUNT = 10;
+
+const generateSecret = () => authenticator.generateSecret();
+
+const buildEnrollment = async (user, secret) => {
+  const otpauthUrl = authenticator.keyuri(user.email, ISSUER, secret);
+  const qrCode = await QRCode.toDataURL(otpauthUrl);
+  return { secret, otpauthUrl, qrCode };
+};
+
+// Verify a TOTP code and refuse to accept the same code twice
+const verifyTotp = async (userId, secret, code) => {
+  const token = String(code || '').replace(/\s/g, '');
+
+  if (!/^\d{6}$/.test(token) || !authenticator.verify({ token, secret })) {
+    return false;
+  }
+
+  const fresh = await redisClient.set(`2fa:used:${userId}:${token}`, '1', 'EX', 90, 'NX');
+  return fresh === 'OK';
+};
+
+const hashBackupCode = (code) => {
+  return crypto
+    .createHash('sha256')
+    .update(String(code).replace(/[\s-]/g, '').toLowerCase())
+    .digest('hex');
+};
+
+// Returns plaintext codes to show once, and the hashes to store on the user
+const generateBackupCodes = () => {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return { codes, hashes: codes.map(hashBackupCode) };
+};
+
+// Checks a backup code against the stored hashes and burns it on success
+const consumeBackupCode = (user, code) => {
+  const hash = hashBackupCode(code);
+  const index = (user.twoFactorBackupCodes || []).indexOf(hash);
+
+  if (index === -1) {
+    return false;
+  }
+
+  user.twoFactorBackupCodes.splice(index, 1);
+  return true;
+};
+
+// Accepts either a TOTP code or a backup code; the user must be loaded with 2FA secrets selected
+const verifySecondFactor = async (user, { code, backupCode }) => {
+  if (backupCode) {
+    return consumeBackupCode(user, backupCode);
+  }
+  return verifyTotp(user.id, user.twoFactorSecret, code);
+};
+
+// Staff accounts, meaning any role that grants a permission, when REQUIRE_ADMIN_2FA=true
+const isTwoFactorRequired = (permissions) => {
+  return permissions.length > 0 && process.env.REQUIRE_ADMIN_2FA === 'true';
+};
+
+module.exports = {
+  generateSecret,
+  buildEnrollment,
+  verifyTotp,
+  generateBackupCodes,
+  consumeBackupCode,
+  verifySecondFactor,
+  isTwoFactorRequired
+};
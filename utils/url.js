@@ -0,0 +1,11 @@
+// Build absolute links for emails from APP_URL. The Host header is client-controlled and would
+// let anyone point reset and verification links at their own site, so it is only a fallback
+// for local development.
+if (process.env.NODE_ENV === 'production' && !process.env.APP_URL) {
+  throw new Error('APP_URL must be set in production');
+}
+
+exports.buildUrl = (req, pathname) => {
+  const baseUrl = process.env.APP_URL || `${req.protocol}://${req.get('host')}`;
+  return `${baseUrl.replace(/\/$/, '')}${pathname}`;
+};
@@ -0,0 +1,193 @@
+const mongoose = require('mongoose');
+const { ErrorResponse } = require('../middleware/errorHandler');
+
+// Query-string handling shared by the admin user list and export endpoints
+
+const SORTABLE_FIELDS = ['username', 'email', 'age', 'country', 'role', 'createdAt', 'lastLogin', 'apiCallsCount'];
+
+// Everything an admin may ask for; secrets and internal counters are never projectable
+const PROJECTABLE_FIELDS = [
+  'username', 'email', 'emailVerified', 'phone', 'age', 'gender', 'country', 'postalCode',
+  'website', 'bio', 'skills', 'newsletter', 'role', 'isActive', 'avatar', 'profileIncomplete',
+  'twoFactorEnabled', 'apiCallsCount', 'lastApiCall', 'lastLogin', 'createdAt', 'updatedAt', 'deletedAt'
+];
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const parseBoolean = (name, value) => {
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  throw new ErrorResponse(`${name} must be true or false`, 400);
+};
+
+const parseNumber = (name, value) => {
+  const number = Number(value);
+  if (value === '' || isNaN(number)) {
+    throw new ErrorResponse(`${name} must be a number`, 400);
+  }
+  return number;
+};
+
+const parseDate = (name, value) => {
+  const date = new Date(value);
+  if (isNaN(date)) {
+    throw new ErrorResponse(`${name} must be a valid date`, 400);
+  }
+  return date;
+};
+
+// Filters: role, country, isActive, newsletter, minAge, maxAge, createdAfter, createdBefore, deleted
+const buildUserFilter = (query) => {
+  const filter = {};
+
+  if (query.role) filter.role = String(query.role).toLowerCase();
+  if (query.country) filter.country = String(query.country);
+  if (query.isActive !== undefined) filter.isActive = parseBoolean('isActive', query.isActive);
+  if (query.newsletter !== undefined) filter.newsletter = parseBoolean('newsletter', query.newsletter);
+
+  // Deleted accounts are excluded by the model unless asked for explicitly
+  if (query.deleted !== undefined) {
+    filter.deletedAt = parseBoolean('deleted', query.deleted) ? { $ne: null } : null;
+  }
+
+  if (query.minAge !== undefined || query.maxAge !== undefined) {
+    filter.age = {};
+    if (query.minAge !== undefined) filter.age.$gte = parseNumber('minAge', query.minAge);
+    if (query.maxAge !== undefined) filter.age.$lte = parseNumber('maxAge', query.maxAge);
+  }
+
+  if (query.createdAfter || query.createdBefore) {
+    filter.createdAt = {};
+    if (query.createdAfter) filter.createdAt.$gte = parseDate('createdAfter', query.createdAfter);
+    if (query.createdBefore) filter.createdAt.$lte = parseDate('createdBefore', query.createdBefore);
+  }
+
+  return filter;
+};
+
+// "-createdAt,username" -> [['createdAt', -1], ['username', 1], ['_id', 1]]
+const parseSort = (sort = '-createdAt') => {
+  const fields = String(sort).split(',').map(field => field.trim()).filter(Boolean);
+  const order = [];
+
+  fields.forEach(field => {
+    const direction = field.startsWith('-') ? -1 : 1;
+    const name = field.replace(/^[-+]/, '');
+
+    if (!SORTABLE_FIELDS.includes(name)) {
+      throw new ErrorResponse(`Cannot sort by '${name}'. Sortable fields: ${SORTABLE_FIELDS.join(', ')}`, 400);
+    }
+    if (!order.some(([existing]) => existing === name)) {
+      order.push([name, direction]);
+    }
+  });
+
+  // _id breaks ties so page and cursor boundaries are stable
+  order.push(['_id', order.length ? order[order.length - 1][1] : -1]);
+  return order;
+};
+
+// "username,email" -> ['username', 'email']; null means the default toJSON fields
+const parseFields = (fields) => {
+  if (!fields) return null;
+
+  const requested = String(fields).split(',').map(field => field.trim()).filter(Boolean);
+  const unknown = requested.filter(field => !PROJECTABLE_FIELDS.includes(field));
+
+  if (unknown.length > 0) {
+    throw new ErrorResponse(`Unknown fields: ${unknown.join(', ')}`, 400);
+  }
+  return requested;
+};
+
+const parsePagination = (query) => {
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : parseNumber('limit', query.limit);
+  const page = query.page === undefined ? 1 : parseNumber('page', query.page);
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw new ErrorResponse(`limit must be between 1 and ${MAX_LIMIT}`, 400);
+  }
+  if (!Number.isInteger(page) || page < 1) {
+    throw new ErrorResponse('page must be a positive integer', 400);
+  }
+  if (query.after && query.page !== undefined) {
+    throw new ErrorResponse('Use either page or after, not both', 400);
+  }
+
+  return { limit, page, after: query.after };
+};
+
+// Cursors hold the sort values of the last document, so they only work with the same sort
+const encodeCursor = (doc, order) => {
+  const values = order.map(([field]) => {
+    const value = doc[field];
+    return value instanceof Date ? { date: value.toISOString() } : value === undefined ? null : value;
+  });
+  return Buffer.from(JSON.stringify(values)).toString('base64url');
+};
+
+// Cursors come from the client and their values end up in equality clauses, so only scalars and
+// { date } wrappers are accepted; an object like { $ne: null } would otherwise act as an operator
+const isCursorValue = (value) => {
+  if (value === null || ['string', 'boolean'].includes(typeof value)) return true;
+  if (typeof value === 'number') return Number.isFinite(value);
+
+  return typeof value === 'object' && !Array.isArray(value) &&
+    Object.keys(value).length === 1 && typeof value.date === 'string' && !isNaN(new Date(value.date));
+};
+
+const decodeCursor = (cursor, order) => {
+  let values;
+  try {
+    values = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+  } catch (error) {
+    values = null;
+  }
+
+  const id = Array.isArray(values) ? values[values.length - 1] : null;
+  if (values === null || values.length !== order.length || typeof id !== 'string' ||
+      !mongoose.isValidObjectId(id) || !values.every(isCursorValue)) {
+    throw new ErrorResponse('Invalid cursor for this sort order', 400);
+  }
+
+  return values.map((value, index) => {
+    if (index === values.length - 1) return new mongoose.Types.ObjectId(id);
+    return value && value.date ? new Date(value.date) : value;
+  });
+};
+
+// Condition matching documents strictly after the given value in sort order; missing values sort first
+const afterValue = (field, direction, value) => {
+  if (direction === 1) {
+    return value === null ? { [field]: { $ne: null } } : { [field]: { $gt: value } };
+  }
+  return value === null ? null : { $or: [{ [field]: { $lt: value } }, { [field]: null }] };
+};
+
+// Keyset condition: (a > x) or (a = x and b > y) or ...
+const buildCursorFilter = (cursor, order) => {
+  const values = decodeCursor(cursor, order);
+  const branches = [];
+
+  order.forEach(([field, direction], index) => {
+    const after = afterValue(field, direction, values[index]);
+    if (!after) return;
+
+    const equal = order.slice(0, index).map(([previous], i) => ({ [previous]: values[i] }));
+    branches.push(equal.length ? { $and: [...equal, after] } : after);
+  });
+
+  return branches.length ? { $or: branches } : { _id: null };
+};
+
+module.exports = {
+  SORTABLE_FIELDS,
+  PROJECTABLE_FIELDS,
+  buildUserFilter,
+  parseSort,
+  parseFields,
+  parsePagination,
+  encodeCursor,
+  buildCursorFilter
+};
@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const { validators } = require('../validators');
+
+const MAX_LENGTH = 20;
+
+// Which of the given names are already used; soft-deleted accounts still hold theirs.
+// Usernames are unique regardless of case, so "Alice" is taken once "alice" exists; the
+// collation matches the unique index so the lookup can use it.
+const findTaken = async (usernames) => {
+  const existing = await User.collection
+    .find({ username: { $in: usernames } }, { collation: User.USERNAME_COLLATION, projection: { username: 1 } })
+    .toArray();
+  return new Set(existing.map(user => user.username.toLowerCase()));
+};
+
+const isUsernameTaken = async (username) => (await findTaken([username])).size > 0;
+
+// Reduce anything (an email prefix, a display name) to a valid username stem
+const toBase = (value) => {
+  const base = String(value || '').replace(/[^a-zA-Z0-9_]/g, '').slice(0, MAX_LENGTH - 4);
+  return base.length >= 3 ? base : `user${base}`;
+};
+
+const withSuffix = (base, suffix) => `${base.slice(0, MAX_LENGTH - suffix.length)}${suffix}`;
+
+// Candidate variations, shortest suffixes first
+const candidatesFor = (base, round) => {
+  const digits = round + 2;
+  return [
+    withSuffix(base, String(crypto.randomInt(10 ** (digits - 1), 10 ** digits))),
+    withSuffix(base, `_${crypto.randomInt(10 ** (digits - 1), 10 ** digits)}`),
+    withSuffix(base, String(new Date().getFullYear()).slice(round === 0 ? 2 : 0)),
+    withSuffix(base, crypto.randomBytes(2).toString('hex'))
+  ];
+};
+
+// Up to `count` available usernames similar to the requested one
+const suggestUsernames = async (username, count = 3) => {
+  const base = toBase(username);
+  const suggestions = [];
+
+  for (let round = 0; round < 3 && suggestions.length < count; round += 1) {
+    const candidates = [...new Set(candidatesFor(base, round))]
+      .filter(candidate => validators.validateUsername(candidate) && !validators.isReservedUsername(candidate))
+      .filter(candidate => !suggestions.includes(candidate));
+    const taken = await findTaken(candidates);
+
+    suggestions.push(...candidates.filter(candidate => !taken.has(candidate.toLowerCase())));
+  }
+
+  return suggestions.slice(0, count);
+};
+
+// { available, reason, message, suggestions } for the availability API
+const checkUsername = async (username) => {
+  if (!validators.validateUsername(username)) {
+    return {
+      available: false,
+      reason: 'invalid',
+      message: 'Username must be 3-20 characters (letters, numbers, underscore only)'
+    };
+  }
+
+  if (validators.isReservedUsername(username)) {
+    return {
+      available: false,
+      reason: 'reserved',
+      message: 'This username is reserved',
+      suggestions: await suggestUsernames(username)
+    };
+  }
+
+  if (await isUsernameTaken(username)) {
+    return {
+      available: false,
+      reason: 'taken',
+      message: 'Username already taken',
+      suggestions: await suggestUsernames(username)
+    };
+  }
+
+  return { available: true, message: 'Username available' };
+};
+
+// Username for an account created without one (OAuth sign-ups): the stem itself when free
+const generateUsername = async (value) => {
+  const base = toBase(value).toLowerCase();
+
+  if (!validators.isReservedUsername(base) && !(await isUsernameTaken(base))) {
+    return base;
+  }
+
+  const [suggestion] = await suggestUsernames(base, 1);
+  if (!suggestion) {
+    throw new Error(`Could not generate a username for ${base}`);
+  }
+  return suggestion;
+};
+
+module.exports = {
+  isUsernameTaken,
+  suggestUsernames,
+  checkUsername,
+  generateUsername
+};
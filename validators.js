@@ -1,165 +1,250 @@
-// Enhanced validation with password strength and more rules
-const validators = {
-  validateEmail: (email) => {
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    return emailRegex.test(email);
-  },
-
-  validatePhone: (phone) => {
-    const phoneRegex = /^[6-9]\d{9}$/;
-    return phoneRegex.test(phone);
-  },
-
-  validatePassword: (password) => {
-    const passwordRegex = /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]{8,}$/;
-    return passwordRegex.test(password);
-  },
-
-  // NEW: Calculate password strength score
-  calculatePasswordStrength: (password) => {
-    let strength = 0;
-    const checks = {
-      length: password.length >= 8,
-      hasLower: /[a-z]/.test(password),
-      hasUpper: /[A-Z]/.test(password),
-      hasNumber: /\d/.test(password),
-      hasSpecial: /[@$!%*?&]/.test(password),
-      isLong: password.length >= 12,
-      hasMultipleSpecial: (password.match(/[@$!%*?&]/g) || []).length >= 2
-    };
+// Validation rules shared by the server (require('./validators')) and the browser
+// (served as /js/validators.js, available as window.Validators), so both always agree
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.Validators = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function() {
+
+  // Names that could be mistaken for the system or clash with routes; compared case-insensitively
+  const RESERVED_USERNAMES = [
+    'admin', 'administrator', 'api', 'root', 'system', 'support', 'help', 'moderator', 'staff',
+    'security', 'null', 'undefined', 'me', 'login', 'logout', 'register', 'dashboard', 'settings',
+    'www', 'mail', 'info', 'webmaster', 'postmaster', 'noreply', 'no_reply'
+  ];
+
+  // Password rules: the required ones define a valid password, points add up to the strength score (max 100)
+  const PASSWORD_CHECKS = [
+    { key: 'length', label: 'At least 8 characters', points: 20, required: true, test: (password) => password.length >= 8 },
+    { key: 'hasLower', label: 'Lowercase letter', points: 15, required: true, test: (password) => /[a-z]/.test(password) },
+    { key: 'hasUpper', label: 'Uppercase letter', points: 15, required: true, test: (password) => /[A-Z]/.test(password) },
+    { key: 'hasNumber', label: 'Number', points: 15, required: true, test: (password) => /\d/.test(password) },
+    { key: 'hasSpecial', label: 'Special character (@$!%*?&)', points: 20, required: true, test: (password) => /[@$!%*?&]/.test(password) },
+    { key: 'allowedChars', label: 'Only letters, numbers and @$!%*?&', points: 0, required: true, test: (password) => /^[A-Za-z\d@$!%*?&]*$/.test(password) },
+    { key: 'isLong', label: '12 or more characters', points: 10, test: (password) => password.length >= 12 },
+    { key: 'hasMultipleSpecial', label: 'Two or more special characters', points: 5, test: (password) => (password.match(/[@$!%*?&]/g) || []).length >= 2 }
+  ];
+
+  // Postal code format, field label and placeholder per country; other countries are not checked
+  const POSTAL_CODES = {
+    'India': { label: 'PIN Code', example: '400001', pattern: /^[1-9][0-9]{5}$/ },
+    'USA': { label: 'ZIP Code', example: '12345', pattern: /^\d{5}(-\d{4})?$/ },
+    'UK': { label: 'Postal Code', example: 'SW1A 1AA', pattern: /^[A-Z]{1,2}\d{1,2}[A-Z]?\s?\d[A-Z]{2}$/i },
+    'Canada': { label: 'Postal Code', example: 'K1A 0B1', pattern: /^[A-Z]\d[A-Z]\s?\d[A-Z]\d$/i }
+  };
+
+  // Enhanced validation with password strength and more rules
+  const validators = {
+    validateEmail: (email) => {
+      const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+      return emailRegex.test(email);
+    },
+
+    validatePhone: (phone) => {
+      const phoneRegex = /^[6-9]\d{9}$/;
+      return phoneRegex.test(phone);
+    },
+
+    validatePassword: (password) => {
+      return typeof password === 'string' && PASSWORD_CHECKS.every(check => !check.required || check.test(password));
+    },
+
+    // NEW: Calculate password strength score
+    calculatePasswordStrength: (password) => {
+      let strength = 0;
+      const checks = {};
+
+      PASSWORD_CHECKS.forEach(check => {
+        checks[check.key] = check.test(password);
+        if (checks[check.key]) strength += check.points;
+      });
+
+      // A password that breaks a required rule is rejected, so it never rates above weak
+      const valid = PASSWORD_CHECKS.every(check => !check.required || checks[check.key]);
+
+      return {
+        score: strength,
+        level: !valid || strength < 40 ? 'weak' : strength < 70 ? 'medium' : strength < 90 ? 'strong' : 'excellent',
+        valid,
+        checks
+      };
+    },
+
+    validateAge: (age) => {
+      const ageNum = parseInt(age);
+      return !isNaN(ageNum) && ageNum >= 18 && ageNum <= 100;
+    },
+
+    validateUsername: (username) => {
+      const usernameRegex = /^[a-zA-Z0-9_]{3,20}$/;
+      return usernameRegex.test(username);
+    },
+
+    isReservedUsername: (username) => {
+      return RESERVED_USERNAMES.includes(String(username).toLowerCase());
+    },
+
+    validateURL: (url) => {
+      try {
+        new URL(url);
+        return true;
+      } catch {
+        return false;
+      }
+    },
 
-    if (checks.length) strength += 20;
-    if (checks.hasLower) strength += 15;
-    if (checks.hasUpper) strength += 15;
-    if (checks.hasNumber) strength += 15;
-    if (checks.hasSpecial) strength += 20;
-    if (checks.isLong) strength += 10;
-    if (checks.hasMultipleSpecial) strength += 5;
-
-    return {
-      score: strength,
-      level: strength < 40 ? 'weak' : strength < 70 ? 'medium' : strength < 90 ? 'strong' : 'excellent',
-      checks
-    };
-  },
-
-  validateAge: (age) => {
-    const ageNum = parseInt(age);
-    return !isNaN(ageNum) && ageNum >= 18 && ageNum <= 100;
-  },
-
-  validateUsername: (username) => {
-    const usernameRegex = /^[a-zA-Z0-9_]{3,20}$/;
-    return usernameRegex.test(username);
-  },
-
-  validateURL: (url) => {
-    try {
-      new URL(url);
-      return true;
-    } catch {
-      return false;
-    }
-  },
-
-  // NEW: Validate credit card (Luhn algorithm)
-  validateCreditCard: (cardNumber) => {
-    const cleaned = cardNumber.replace(/\s/g, '');
-    if (!/^\d{13,19}$/.test(cleaned)) return false;
+    // NEW: Validate credit card (Luhn algorithm)
+    validateCreditCard: (cardNumber) => {
+      const cleaned = cardNumber.replace(/\s/g, '');
+      if (!/^\d{13,19}$/.test(cleaned)) return false;
     
-    let sum = 0;
-    let isEven = false;
+      let sum = 0;
+      let isEven = false;
     
-    for (let i = cleaned.length - 1; i >= 0; i--) {
-      let digit = parseInt(cleaned[i]);
+      for (let i = cleaned.length - 1; i >= 0; i--) {
+        let digit = parseInt(cleaned[i]);
       
-      if (isEven) {
-        digit *= 2;
-        if (digit > 9) digit -= 9;
-      }
+        if (isEven) {
+          digit *= 2;
+          if (digit > 9) digit -= 9;
+        }
       
-      sum += digit;
-      isEven = !isEven;
-    }
+        sum += digit;
+        isEven = !isEven;
+      }
     
-    return sum % 10 === 0;
-  },
-
-  // NEW: Validate postal code
-  validatePostalCode: (code, country) => {
-    const patterns = {
-      'India': /^[1-9][0-9]{5}$/,
-      'USA': /^\d{5}(-\d{4})?$/,
-      'UK': /^[A-Z]{1,2}\d{1,2}[A-Z]?\s?\d[A-Z]{2}$/i,
-      'Canada': /^[A-Z]\d[A-Z]\s?\d[A-Z]\d$/i
+      return sum % 10 === 0;
+    },
+
+    // NEW: Validate postal code
+    validatePostalCode: (code, country) => {
+      const rule = Object.prototype.hasOwnProperty.call(POSTAL_CODES, country) ? POSTAL_CODES[country] : null;
+      return rule ? rule.pattern.test(code) : true;
+    }
+  };
+
+  // Registration rules per field; returns { field: message } with the first problem of each field.
+  // JSON bodies can carry any type, so string fields are type-checked before string methods run.
+  const validateRegistrationFields = (data) => {
+    const errors = {};
+    const fail = (field, message) => {
+      if (!errors[field]) errors[field] = message;
     };
-    
-    return patterns[country] ? patterns[country].test(code) : true;
-  }
-};
 
-const validateRegistrationForm = (data) => {
-  const errors = [];
+    if (typeof data.username !== 'string' || !validators.validateUsername(data.username)) {
+      fail('username', 'Username must be 3-20 characters (letters, numbers, underscore only)');
+    } else if (validators.isReservedUsername(data.username)) {
+      fail('username', 'This username is reserved');
+    }
 
-  if (!data.username || !validators.validateUsername(data.username)) {
-    errors.push('Username must be 3-20 characters (letters, numbers, underscore only)');
-  }
+    if (typeof data.email !== 'string' || !validators.validateEmail(data.email)) {
+      fail('email', 'Invalid email format');
+    }
 
-  if (!data.email || !validators.validateEmail(data.email)) {
-    errors.push('Invalid email format');
-  }
+    if (!validators.validatePassword(data.password)) {
+      fail('password', 'Password must be 8+ chars with uppercase, lowercase, number, and special character');
+    }
 
-  if (!data.password || !validators.validatePassword(data.password)) {
-    errors.push('Password must be 8+ chars with uppercase, lowercase, number, and special character');
-  }
+    // Enhanced password strength check
+    if (typeof data.password === 'string') {
+      const strength = validators.calculatePasswordStrength(data.password);
+      if (strength.level === 'weak') {
+        fail('password', 'Password is too weak. Please use a stronger password');
+      }
+    }
 
-  // Enhanced password strength check
-  if (data.password) {
-    const strength = validators.calculatePasswordStrength(data.password);
-    if (strength.level === 'weak') {
-      errors.push('Password is too weak. Please use a stronger password');
+    if (data.password !== data.confirmPassword) {
+      fail('confirmPassword', 'Passwords do not match');
     }
-  }
 
-  if (data.password !== data.confirmPassword) {
-    errors.push('Passwords do not match');
-  }
+    if (!data.phone || !validators.validatePhone(data.phone)) {
+      fail('phone', 'Invalid Indian phone number (10 digits starting with 6-9)');
+    }
 
-  if (!data.phone || !validators.validatePhone(data.phone)) {
-    errors.push('Invalid Indian phone number (10 digits starting with 6-9)');
-  }
+    if (!data.age || !validators.validateAge(data.age)) {
+      fail('age', 'Age must be between 18 and 100');
+    }
 
-  if (!data.age || !validators.validateAge(data.age)) {
-    errors.push('Age must be between 18 and 100');
-  }
+    if (!data.gender) {
+      fail('gender', 'Gender is required');
+    }
 
-  if (!data.gender) {
-    errors.push('Gender is required');
-  }
+    if (!data.country) {
+      fail('country', 'Country selection is required');
+    }
 
-  if (!data.country) {
-    errors.push('Country selection is required');
-  }
+    if (data.website && !validators.validateURL(data.website)) {
+      fail('website', 'Invalid website URL');
+    }
 
-  if (data.website && !validators.validateURL(data.website)) {
-    errors.push('Invalid website URL');
-  }
+    // NEW: Postal code validation
+    if (data.postalCode && !validators.validatePostalCode(data.postalCode, data.country)) {
+      fail('postalCode', 'Invalid postal code for selected country');
+    }
 
-  // NEW: Postal code validation
-  if (data.postalCode && !validators.validatePostalCode(data.postalCode, data.country)) {
-    errors.push('Invalid postal code for selected country');
-  }
+    // NEW: Credit card validation (optional field)
+    if (data.creditCard && (typeof data.creditCard !== 'string' || !validators.validateCreditCard(data.creditCard))) {
+      fail('creditCard', 'Invalid credit card number');
+    }
 
-  // NEW: Credit card validation (optional field)
-  if (data.creditCard && !validators.validateCreditCard(data.creditCard)) {
-    errors.push('Invalid credit card number');
-  }
+    if (!data.terms) {
+      fail('terms', 'You must accept terms and conditions');
+    }
 
-  if (!data.terms) {
-    errors.push('You must accept terms and conditions');
-  }
+    return errors;
+  };
+
+  // Same rules as a flat list of messages
+  const validateRegistrationForm = (data) => Object.values(validateRegistrationFields(data));
+
+  // Self-service profile edits; returns { field: message } for every invalid field
+  const validateProfileUpdate = (data, current = {}) => {
+    const errors = {};
 
-  return errors;
-};
+    if (data.bio !== undefined && (typeof data.bio !== 'string' || data.bio.length > 200)) {
+      errors.bio = 'Bio cannot exceed 200 characters';
+    }
+
+    if (data.skills !== undefined) {
+      const skills = Array.isArray(data.skills) ? data.skills : null;
+      if (!skills || skills.length > 20 || skills.some(skill => typeof skill !== 'string' || !skill.trim() || skill.length > 30)) {
+        errors.skills = 'Up to 20 skills of at most 30 characters each';
+      }
+    }
+
+    // Only web links; other schemes (javascript:, data:) would end up in an href
+    if (data.website) {
+      if (!validators.validateURL(data.website) || !/^https?:$/.test(new URL(data.website).protocol)) {
+        errors.website = 'Invalid website URL';
+      }
+    }
+
+    if (data.country !== undefined && (typeof data.country !== 'string' || !data.country.trim())) {
+      errors.country = 'Country selection is required';
+    }
+
+    // A new country can invalidate the postal code already on file
+    const country = data.country !== undefined ? data.country : current.country;
+    const postalCode = data.postalCode !== undefined ? data.postalCode : current.postalCode;
+    if (!errors.country && postalCode && !validators.validatePostalCode(String(postalCode), country)) {
+      errors.postalCode = `Invalid postal code for ${country}`;
+    }
+
+    if (data.newsletter !== undefined && ![true, false, 'true', 'false'].includes(data.newsletter)) {
+      errors.newsletter = 'Newsletter must be true or false';
+    }
 
-module.exports = { validators, validateRegistrationForm };
+    return errors;
+  };
+
+  return {
+    validators,
+    validateRegistrationFields,
+    validateRegistrationForm,
+    validateProfileUpdate,
+    PASSWORD_CHECKS,
+    POSTAL_CODES
+  };
+});